@@ -29,6 +29,8 @@ SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  *
  *  http://wiki.ecmascript.org/doku.php?id=harmony:virtual_object_api
  *
+ * updated to the trap set of the final ECMAScript 2015 Proxy API.
+ *
  * Dependencies:
  *  - direct proxies, i.e. an ECMAScript 6 compatible Proxy API
  *  - Reflect, i.e. the ECMAScript 6 reflection module
@@ -40,6 +42,23 @@ SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  *  - DelegatingHandler
  *  - ForwardingHandler
  *  - VirtualHandler
+ *  - VirtualArrayHandler
+ *  - StorageHandler, MapAdapter, FileAdapter
+ *  - compose
+ *  - RedirectingHandler
+ *  - LazyHandler
+ *  - Membrane, MembraneHandler
+ *  - ReadOnlyHandler
+ *  - PolicyHandler
+ *  - DefaultingHandler
+ *  - ObservableHandler
+ *  - TransactionHandler
+ *  - SchemaHandler, SchemaError
+ *  - TracingHandler, TraceLog
+ *  - RemoteHandler, RemoteConnection
+ *  - RevocationScope
+ *  - enableProxyRegistry
+ *  - checkHandler
  */
 (function(exports) { // function-as-module pattern
   "use strict";
@@ -60,8 +79,14 @@ if (typeof Reflect === "undefined") {
 // ---- Normalization functions for property descriptors ----
 // (copied from reflect.js)
 
+var standardAttributes = {
+  get: true, set: true, value: true,
+  writable: true, enumerable: true, configurable: true
+};
+
 function isStandardAttribute(name) {
-  return /^(get|set|value|writable|enumerable|configurable)$/.test(name);
+  if (typeof name !== "string") { return false; } // symbol-keyed attribute
+  return Object.prototype.hasOwnProperty.call(standardAttributes, name);
 }
 
 // Adapted from ES5 section 8.10.5
@@ -142,7 +167,15 @@ function normalizeAndCompletePropertyDescriptor(attributes) {
   var desc = toCompletePropertyDescriptor(attributes);
   // Note: no need to call FromPropertyDescriptor(desc), as we represent
   // "internal" property descriptors as proper Objects from the start
-  for (var name in attributes) {
+  var names = [];
+  for (var name in attributes) { names.push(name); }
+  // for-in skips symbols, so add the enumerable symbol-keyed attributes
+  Object.getOwnPropertySymbols(attributes).forEach(function(sym) {
+    if (Object.prototype.propertyIsEnumerable.call(attributes, sym)) {
+      names.push(sym);
+    }
+  });
+  names.forEach(function(name) {
     if (!isStandardAttribute(name)) {
       Object.defineProperty(desc, name,
         { value: attributes[name],
@@ -150,45 +183,405 @@ function normalizeAndCompletePropertyDescriptor(attributes) {
           enumerable: true,
           configurable: true });
     }
-  }
+  });
   return desc;
 }
 
+/**
+ * The final steps of ES2015 9.1.9.1 OrdinarySet, once a writable or
+ * non-writable data property ownDesc has been found for name on the
+ * prototype chain: the assignment updates or adds the property on the
+ * receiver, not on the object that holds ownDesc.
+ */
+function setOnReceiver(ownDesc, name, value, receiver) {
+  if (!ownDesc.writable) return false;
+  if (Object(receiver) !== receiver) return false;
+  var existingDesc = Reflect.getOwnPropertyDescriptor(receiver, name);
+  if (existingDesc !== undefined) {
+    if (isAccessorDescriptor(existingDesc)) return false;
+    if (!existingDesc.writable) return false;
+    return Reflect.defineProperty(receiver, name, {value: value});
+  }
+  return Reflect.defineProperty(receiver, name,
+    { value: value,
+      writable: true,
+      enumerable: true,
+      configurable: true });
+}
+
+/**
+ * Returns keys in the order of the [[OwnPropertyKeys]] of an ordinary
+ * object (ES2015 9.1.12): array indices in ascending numeric order, then
+ * the other strings, then symbols, each in the order in which they appear
+ * in keys.
+ */
+function orderKeys(keys) {
+  var indices = [];
+  var strings = [];
+  var symbols = [];
+  Array.prototype.forEach.call(keys, function(key) {
+    if (typeof key === "symbol") {
+      symbols.push(key);
+    } else if (toArrayIndex(key) !== -1) {
+      indices.push(key);
+    } else {
+      strings.push(key);
+    }
+  });
+  indices.sort(function(a, b) { return a - b; });
+  return indices.concat(strings, symbols);
+}
+
+/**
+ * ES2015 7.3.15 TestIntegrityLevel, in terms of the fundamental traps of
+ * handler: whether target is sealed, or frozen if frozen is true.
+ */
+function testIntegrity(handler, target, frozen) {
+  if (handler.isExtensible(target)) {
+    return false;
+  }
+  return handler.ownKeys(target).every(function(name) {
+    var desc = handler.getOwnPropertyDescriptor(target, name);
+    if (desc === undefined) {
+      return true;
+    }
+    desc = normalizeAndCompletePropertyDescriptor(desc);
+    return !desc.configurable &&
+           !(frozen && isDataDescriptor(desc) && desc.writable);
+  });
+}
+
+// ---- Shadow targets ----
+
+// Handlers that do not forward to their target (e.g. because they
+// operate on some other object) still have to respect the proxy invariants,
+// which are checked against the target. Such handlers use a "shadow"
+// target, onto which they copy just enough state to keep the invariants
+// satisfied: non-configurable properties, and non-extensibility.
+
+/**
+ * Returns a fresh shadow target for obj: callable if obj is callable,
+ * an array if obj is an array, so that typeof and Array.isArray
+ * on the proxy give the same answer as on obj.
+ */
+function createShadowTarget(obj) {
+  if (typeof obj === "function") {
+    // bound functions are constructible if their target is, but unlike
+    // ordinary functions they have no non-configurable prototype property
+    return function() {}.bind(null);
+  }
+  if (Array.isArray(obj)) {
+    return [];
+  }
+  return {};
+}
+
+/**
+ * Records on shadow the property name, as described by the complete
+ * descriptor desc (undefined if the property does not exist). Only
+ * non-configurable properties need to be recorded, unless shadow is
+ * non-extensible, in which case it must mirror every property.
+ */
+function updateShadowProperty(shadow, name, desc) {
+  if (desc === undefined) {
+    Reflect.deleteProperty(shadow, name);
+    return;
+  }
+  if (!desc.configurable || !Reflect.isExtensible(shadow)) {
+    Reflect.defineProperty(shadow, name, desc);
+  }
+}
+
+/**
+ * Makes shadow a non-extensible mirror of an object with the given own
+ * property keys and prototype. descriptorFor(key) must return the complete
+ * descriptor of the property key. May be called again on a non-extensible
+ * shadow, to remove properties that have since been deleted.
+ */
+function fixShadowTarget(shadow, keys, descriptorFor, proto) {
+  Reflect.ownKeys(shadow).forEach(function(key) {
+    if (keys.indexOf(key) === -1) {
+      Reflect.deleteProperty(shadow, key);
+    }
+  });
+  keys.forEach(function(key) {
+    var desc = descriptorFor(key);
+    if (desc !== undefined) {
+      Reflect.defineProperty(shadow, key, desc);
+    }
+  });
+  Reflect.setPrototypeOf(shadow, proto);
+  Reflect.preventExtensions(shadow);
+}
+
+// ---- Deep views ----
+
+// Some handlers (e.g. ReadOnlyHandler) lazily create a view for each object
+// reachable from the target. All views created from the same call to
+// proxyFor, revocableProxyFor or checkedProxyFor share a context object,
+// which records how the views are to be created.
+
+/**
+ * Returns the context shared by the views of a root created with the given
+ * proxy factory options (see proxyFactory). The handlers of all views are
+ * created with these options, so that e.g. they all belong to the same
+ * RevocationScope.
+ */
+function viewContext(Handler, args, options) {
+  return { Handler: Handler,
+           args: args,
+           options: options,
+           revokes: options.revocable ? [] : undefined };
+}
+
+// creates the proxy of a view, which is revoked along with its root if
+// the root was created by revocableProxyFor
+function createView(context, target, handler) {
+  if (context.revokes === undefined) {
+    return createProxy(target, handler);
+  }
+  var result = createRevocableProxy(target, handler);
+  context.revokes.push(result.revoke);
+  return result.proxy;
+}
+
+// the result of the proxy factory for the root view proxy: if revocable,
+// revoke revokes all views created so far
+function rootView(context, proxy) {
+  if (context.revokes === undefined) {
+    return { proxy: proxy, revoke: undefined };
+  }
+  return { proxy: proxy, revoke: function() {
+    var revokes = context.revokes;
+    context.revokes = [];
+    revokes.forEach(function(revoke) { revoke(); });
+  }};
+}
+
+// ---- Interposing on handlers ----
+
+var standardTraps = [
+  "getOwnPropertyDescriptor", "ownKeys", "getPrototypeOf", "setPrototypeOf",
+  "defineProperty", "deleteProperty", "preventExtensions", "isExtensible",
+  "apply", "has", "get", "set", "construct"
+];
+
+// the traps whose first argument following the target is a property key
+var keyedTraps = {
+  getOwnPropertyDescriptor: true, defineProperty: true, deleteProperty: true,
+  has: true, get: true, set: true
+};
+
+// maps the handlers returned by interposeHandler to the handler they wrap
+var interposedHandlers = new WeakMap();
+
+/**
+ * Returns a proxy for handler whose traps are replaced by
+ * wrapTrap(name, trap, interposed), where interposed is the returned proxy.
+ * The wrapper should call trap with |this| bound to interposed, so that
+ * a derived trap calling e.g. this.defineProperty(...) calls the wrapped
+ * version as well. State stored on |this| by the traps still ends up on
+ * the original handler.
+ */
+function interposeHandler(handler, wrapTrap) {
+  var wrappedTraps = {};
+  var interposed = new Proxy(handler, {
+    get: function(handler, name, receiver) {
+      var trap = Reflect.get(handler, name, receiver);
+      if (typeof trap !== "function" || standardTraps.indexOf(name) === -1) {
+        return trap;
+      }
+      if (!Object.prototype.hasOwnProperty.call(wrappedTraps, name) ||
+          wrappedTraps[name].trap !== trap) {
+        wrappedTraps[name] = { trap: trap,
+                               wrapper: wrapTrap(name, trap, interposed) };
+      }
+      return wrappedTraps[name].wrapper;
+    }
+  });
+  interposedHandlers.set(interposed, handler);
+  return interposed;
+}
+
 // == handler definitions ==
 
 // === DelegatingHandler ===
 
 function forward(name) {
   return function(/*...args*/) {
-    var args = Array.prototype.slice.call(arguments);
-    return Reflect[name].apply(undefined, args);
+    return Reflect[name].apply(undefined, arguments);
   };
 }
 
+// ---- Fast paths ----
+
+// The derived traps are defined in terms of the fundamental traps, so that
+// overriding a fundamental trap affects all derived operations. When a
+// handler does not override the fundamental traps that a derived trap
+// depends on, the derived trap can skip them (and the normalization of
+// their results), and call the corresponding Reflect operation directly.
+
+var fundamentalTraps = [
+  "getOwnPropertyDescriptor", "ownKeys", "getPrototypeOf", "setPrototypeOf",
+  "defineProperty", "deleteProperty", "preventExtensions", "isExtensible",
+  "apply"
+];
+
+// the fundamental traps on which each derived trap depends. keys goes
+// through the deprecated getOwnPropertyNames trap, which subclasses may
+// override.
+var derivedTrapDependencies = {
+  has:       ["getOwnPropertyDescriptor", "getPrototypeOf"],
+  get:       ["getOwnPropertyDescriptor", "getPrototypeOf"],
+  set:       ["getOwnPropertyDescriptor", "getPrototypeOf", "defineProperty"],
+  construct: ["apply"],
+  hasOwn:    ["getOwnPropertyDescriptor"],
+  keys:      ["ownKeys", "getOwnPropertyDescriptor", "getOwnPropertyNames"]
+};
+
+// maps handlers to the result of fastPaths(handler)
+var fastPathCache = new WeakMap();
+
+/**
+ * Returns an object that maps each derived trap name to true if handler
+ * inherits all fundamental traps that the derived trap depends on from
+ * DelegatingHandler. The handler is analysed on first use: replacing its
+ * fundamental traps afterwards is not supported.
+ */
+function fastPaths(handler) {
+  var paths = fastPathCache.get(handler);
+  if (paths === undefined) {
+    var inherited = {};
+    fundamentalTraps.concat("getOwnPropertyNames").forEach(function(name) {
+      inherited[name] = handler[name] === DelegatingHandler.prototype[name];
+    });
+    paths = {};
+    Object.keys(derivedTrapDependencies).forEach(function(trap) {
+      paths[trap] = derivedTrapDependencies[trap].every(function(name) {
+        return inherited[name];
+      });
+    });
+    fastPathCache.set(handler, paths);
+  }
+  return paths;
+}
+
+/**
+ * Makes Handler a subclass of Super the way |class Handler extends Super|
+ * does: Handler.prototype inherits from Super.prototype, and Handler
+ * inherits Super's static methods, such as proxyFor.
+ */
+function extend(Handler, Super) {
+  Handler.prototype = Object.create(Super.prototype, {
+    constructor: { value: Handler, writable: true, configurable: true }
+  });
+  Object.setPrototypeOf(Handler, Super);
+}
+
+/**
+ * Instantiates Handler, honoring DelegatingHandler.checkInvariants. The
+ * optional options are those passed to the proxy factory (see below):
+ * checked, to check the proxy invariants, and scope, the RevocationScope
+ * the proxy belongs to.
+ */
+function makeHandler(Handler, args, options) {
+  return adaptHandler(Reflect.construct(Handler, args), Handler, options);
+}
+
+// the part of makeHandler that follows the instantiation of Handler
+function adaptHandler(handler, Handler, options) {
+  options = options || {};
+  fastPaths(handler);
+  if (DelegatingHandler.adaptLegacyTraps) {
+    handler = legacyHandler(handler, Handler);
+  }
+  if (handler instanceof VirtualHandler && !handler.managesTarget) {
+    handler = shadowingHandler(handler);
+  }
+  if (options.checked || DelegatingHandler.checkInvariants) {
+    handler = checkedHandler(handler, Handler.name);
+  }
+  if (options.scope !== undefined) {
+    handler = options.scope.guard(handler);
+  }
+  return handler;
+}
+
+/**
+ * proxyFor, revocableProxyFor and checkedProxyFor all create their proxy
+ * through the static method Handler[proxyFactory](target, args, options),
+ * where args are the arguments for the Handler constructor, and options
+ * has the following optional properties:
+ *  - revocable: whether the proxy is to be revocable
+ *  - checked, scope: see makeHandler
+ * It returns a { proxy, revoke } pair, where revoke is undefined unless
+ * the proxy is revocable. Handler classes that need to do more than create
+ * one handler and one proxy (e.g. register the proxy) override this method,
+ * rather than the three public factories.
+ */
+var proxyFactory = Symbol("proxyFactory");
+
+// the proxy factory of Handler, which handlers that do not inherit the
+// static methods of DelegatingHandler lack
+function proxyFactoryOf(Handler) {
+  return typeof Handler[proxyFactory] === "function" ?
+    Handler[proxyFactory] : DelegatingHandler[proxyFactory];
+}
+
+// creates the proxy for handler, as specified by the proxy factory options
+function newProxy(target, handler, options) {
+  if (options.revocable) {
+    return createRevocableProxy(target, handler);
+  }
+  return { proxy: createProxy(target, handler), revoke: undefined };
+}
+
 function DelegatingHandler() { };
+DelegatingHandler[proxyFactory] = function(target, args, options) {
+  return newProxy(target, makeHandler(this, args, options), options);
+};
 DelegatingHandler.proxyFor = function(target /*,...args*/) {
   var args = Array.prototype.slice.call(arguments, 1);
-  return new Proxy(target, Reflect.construct(this, args));
+  return proxyFactoryOf(this).call(this, target, args, {}).proxy;
 };
 DelegatingHandler.revocableProxyFor = function(target /*,...args*/) {
   var args = Array.prototype.slice.call(arguments, 1);
-  return Proxy.revocable(target, Reflect.construct(this, args));
+  return proxyFactoryOf(this).call(this, target, args, { revocable: true });
+};
+/**
+ * Like proxyFor, but every trap result of the handler is validated against
+ * the proxy invariants before it is returned to the engine.
+ * See "invariant checking" below.
+ */
+DelegatingHandler.checkedProxyFor = function(target /*,...args*/) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  return proxyFactoryOf(this).call(this, target, args, { checked: true }).proxy;
 };
+/**
+ * Set to true to make proxyFor and revocableProxyFor behave like
+ * checkedProxyFor, e.g. while running a test suite.
+ */
+DelegatingHandler.checkInvariants = false;
  
 DelegatingHandler.prototype = {
   // fundamental traps
   getOwnPropertyDescriptor: forward("getOwnPropertyDescriptor"),
-  getOwnPropertyNames:      forward("getOwnPropertyNames"),
-  getOwnPropertyKeys:       forward("getOwnPropertyKeys"),
+  ownKeys:                  forward("ownKeys"),
   getPrototypeOf:           forward("getPrototypeOf"),
   setPrototypeOf:           forward("setPrototypeOf"),
   defineProperty:           forward("defineProperty"),
   deleteProperty:           forward("deleteProperty"),
   preventExtensions:        forward("preventExtensions"),
+  isExtensible:             forward("isExtensible"),
   apply:                    forward("apply"),
  
   // derived traps
+
+  // ES2015 9.1.7.1 OrdinaryHasProperty
   has: function(target, name) {
+    if (fastPaths(this).has) {
+      return Reflect.has(target, name);
+    }
     var desc = this.getOwnPropertyDescriptor(target, name);
     desc = normalizeAndCompletePropertyDescriptor(desc);
     if (desc !== undefined) {
@@ -200,12 +593,11 @@ DelegatingHandler.prototype = {
     }
     return Reflect.has(proto, name);
   },
-  hasOwn: function(target,name) {
-    var desc = this.getOwnPropertyDescriptor(target,name);
-    desc = normalizeAndCompletePropertyDescriptor(desc);
-    return desc !== undefined;
-  },
+  // ES2015 9.1.8.1 OrdinaryGet
   get: function(target, name, receiver) {
+    if (fastPaths(this).get) {
+      return Reflect.get(target, name, receiver);
+    }
     var desc = this.getOwnPropertyDescriptor(target, name);
     desc = normalizeAndCompletePropertyDescriptor(desc);
     if (desc === undefined) {
@@ -222,85 +614,49 @@ DelegatingHandler.prototype = {
     if (getter === undefined) {
       return undefined;
     }
-    return desc.get.call(receiver);
+    return getter.call(receiver);
   },
+  // ES2015 9.1.9.1 OrdinarySet
   set: function(target, name, value, receiver) {
+    if (fastPaths(this).set) {
+      return Reflect.set(target, name, value, receiver);
+    }
     var ownDesc = this.getOwnPropertyDescriptor(target, name);
     ownDesc = normalizeAndCompletePropertyDescriptor(ownDesc);
-    if (isDataDescriptor(ownDesc)) {
-      if (!ownDesc.writable) return false;
+    if (ownDesc === undefined) {
+      var proto = this.getPrototypeOf(target);
+      if (proto !== null) {
+        return Reflect.set(proto, name, value, receiver);
+      }
+      ownDesc = { value: undefined,
+                  writable: true,
+                  enumerable: true,
+                  configurable: true };
     }
     if (isAccessorDescriptor(ownDesc)) {
-      if(ownDesc.set === undefined) return false;
-      ownDesc.set.call(receiver, value);
-      return true;
-    }
-    var proto = this.getPrototypeOf(target);
-    if (proto === null) {
-      var receiverDesc = Object.getOwnPropertyDescriptor(receiver, name);
-      if (isAccessorDescriptor(receiverDesc)) {
-        if(receiverDesc.set === undefined) return false;
-        receiverDesc.set.call(receiver, value);
-        return true;
-      }
-      if (isDataDescriptor(receiverDesc)) {
-        if (!receiverDesc.writable) return false;
-        Object.defineProperty(receiver, name, {value: value});
-        return true;
-      }
-      if (!Object.isExtensible(receiver)) return false;
-      Object.defineProperty(receiver, name,
-        { value: value,
-          writable: true,
-          enumerable: true,
-          configurable: true });
+      var setter = ownDesc.set;
+      if (setter === undefined) return false;
+      setter.call(receiver, value);
       return true;
-    } else {
-      return Reflect.set(proto, name, value, receiver);
     }
+    return setOnReceiver(ownDesc, name, value, receiver);
   },
-  enumerate: function (target) {
-    var result = [];
-    
-    var trapResult = this.getOwnPropertyNames(target);
-    var l = +trapResult.length;
-    var result = [];
-    for (var i = 0; i < l; i++) {
-      var name = String(trapResult[i]);
-      var desc = this.getOwnPropertyDescriptor(name);
-      desc = normalizeAndCompletePropertyDescriptor(desc);
-      if (desc !== undefined && desc.enumerable) {
-        result.push(name);
-      }
-    }
-    var proto = this.getPrototypeOf(target);
-    if (proto === null) {
-      return result;
+  // Invokes [[Construct]] on the target, which bypasses the apply trap,
+  // unless the handler sets constructsThroughApply (see below): then, as in
+  // ES2015 9.2.2 [[Construct]], it uses 9.1.13
+  // OrdinaryCreateFromConstructor to allocate the instance, and the apply
+  // trap to initialize it.
+  construct: function(target, args, newTarget) {
+    if (newTarget === undefined) {
+      newTarget = target;
     }
-    var parentResult = Reflect.enumerate(proto);
-    // TODO: filter out duplicates
-    result.concat(parentResult);
-    return result;
-  },
-  keys: function(target) {
-    var trapResult = this.getOwnPropertyNames(target);
-    var l = +trapResult.length;
-    var result = [];
-    for (var i = 0; i < l; i++) {
-      var name = String(trapResult[i]);
-      var desc = this.getOwnPropertyDescriptor(name);
-      desc = normalizeAndCompletePropertyDescriptor(desc);
-      if (desc !== undefined && desc.enumerable) {
-        result.push(name);
-      }
+    if (fastPaths(this).construct || !this.constructsThroughApply) {
+      return Reflect.construct(target, args, newTarget);
     }
-    return result;
-  },
-  construct: function(target, args) {
-    var proto = this.get(target, 'prototype', target);
+    var proto = Reflect.get(newTarget, 'prototype', newTarget);
     var instance;
     if (Object(proto) === proto) {
-      instance = Object.create(proto);        
+      instance = Object.create(proto);
     } else {
       instance = {};
     }
@@ -312,71 +668,353 @@ DelegatingHandler.prototype = {
   },
  
   // deprecated traps:
- 
-  seal: function(target) {
-    var success = this.preventExtensions(target);
-    success = !!success; // coerce to Boolean
-    if (success) {
-      var props = this.getOwnPropertyNames(target);
-      var l = +props.length;
-      for (var i = 0; i < l; i++) {
-        var name = props[i];
-        success = success && this.defineProperty(target,name,{configurable:false});
-      }
+  // these are not called by ES2015 proxies, but remain available as
+  // methods derived from the standard traps above.
+
+  getOwnPropertyNames: function(target) {
+    return orderKeys(this.ownKeys(target)).filter(function(key) {
+      return typeof key === "string";
+    });
+  },
+  getOwnPropertyKeys: function(target) {
+    return orderKeys(this.ownKeys(target));
+  },
+  hasOwn: function(target,name) {
+    if (fastPaths(this).hasOwn) {
+      return Object.prototype.hasOwnProperty.call(target, name);
     }
-    return success;
+    var desc = this.getOwnPropertyDescriptor(target,name);
+    desc = normalizeAndCompletePropertyDescriptor(desc);
+    return desc !== undefined;
   },
-  freeze: function(target) {
-    var success = this.preventExtensions(target);
-    success = !!success; // coerce to Boolean
-    if (success) {
-      var props = this.getOwnPropertyNames(target);
-      var l = +props.length;
-      for (var i = 0; i < l; i++) {
-        var name = props[i];
-        var desc = this.getOwnPropertyDescriptor(target,name);
-        desc = normalizeAndCompletePropertyDescriptor(desc);
-        if (IsAccessorDescriptor(desc)) {
-          success = success &&
-            this.defineProperty(target,name,{writable:false,configurable:false});
-        } else if (desc !== undefined) {
-          success = success &&
-            this.defineProperty(target,name,{configurable:false});
+  // ES2015 13.7.5.15 EnumerateObjectProperties, as implemented by engines:
+  // returns an iterator over the enumerable string-keyed properties of the
+  // target and its prototype chain, in for-in order. The keys of each
+  // object are read when the iterator reaches it, and each key is checked
+  // again just before it is produced, so that properties deleted (or made
+  // non-enumerable) during iteration are skipped, while properties added
+  // during iteration are not produced. Own properties, enumerable or not,
+  // hide the properties of the same name further up the prototype chain.
+  enumerate: function(target) {
+    var handler = this;
+    var visited = new Set();
+    var obj = target;
+    var keys = this.getOwnPropertyNames(target);
+    var i = 0;
+    function descriptorOf(key) {
+      var desc = obj === target ?
+        handler.getOwnPropertyDescriptor(target, key) :
+        Reflect.getOwnPropertyDescriptor(obj, key);
+      return normalizeAndCompletePropertyDescriptor(desc);
+    }
+    var iterator = {
+      next: function() {
+        while (obj !== null) {
+          while (i < keys.length) {
+            var key = keys[i++];
+            if (visited.has(key)) {
+              continue;
+            }
+            var desc = descriptorOf(key);
+            if (desc === undefined) {
+              continue; // deleted during iteration
+            }
+            visited.add(key);
+            if (desc.enumerable) {
+              return { value: key, done: false };
+            }
+          }
+          obj = obj === target ?
+            handler.getPrototypeOf(target) : Reflect.getPrototypeOf(obj);
+          keys = obj === null ? [] :
+            orderKeys(Reflect.ownKeys(obj)).filter(function(key) {
+              return typeof key === "string";
+            });
+          i = 0;
         }
+        return { value: undefined, done: true };
       }
+    };
+    if (typeof Symbol === "function" && Symbol.iterator) {
+      iterator[Symbol.iterator] = function() { return iterator; };
     }
-    return success;
+    return iterator;
   },
-  isSealed: function(target) {
-    if (this.isExtensible(target)) {
+  keys: function(target) {
+    if (fastPaths(this).keys) {
+      return Object.keys(target);
+    }
+    var trapResult = this.getOwnPropertyNames(target); // in ordinary order
+    var l = +trapResult.length;
+    var result = [];
+    for (var i = 0; i < l; i++) {
+      var name = trapResult[i];
+      var desc = this.getOwnPropertyDescriptor(target, name);
+      desc = normalizeAndCompletePropertyDescriptor(desc);
+      if (desc !== undefined && desc.enumerable) {
+        result.push(name);
+      }
+    }
+    return result;
+  },
+  // ES2015 7.3.14 SetIntegrityLevel(O, "sealed")
+  seal: function(target) {
+    if (!this.preventExtensions(target)) {
       return false;
     }
-    var props = this.getOwnPropertyNames(target);
-    return props.every(function(name) {
-      return !this.getOwnPropertyDescriptor(target,name).configurable;
+    return this.ownKeys(target).every(function(name) {
+      return this.defineProperty(target, name, {configurable:false});
     }, this);
   },
-  isFrozen: function(target) {
-    if (this.isExtensible(target)) {
+  // ES2015 7.3.14 SetIntegrityLevel(O, "frozen")
+  freeze: function(target) {
+    if (!this.preventExtensions(target)) {
       return false;
     }
-    var props = this.getOwnPropertyNames(target);
-    return props.every(function(name) {
-      var desc = this.getOwnPropertyDescriptor(target,name);
-      return !desc.configurable && ("writable" in desc ? !desc.writable : true);
+    return this.ownKeys(target).every(function(name) {
+      var desc = this.getOwnPropertyDescriptor(target, name);
+      if (desc === undefined) {
+        return true;
+      }
+      desc = normalizeAndCompletePropertyDescriptor(desc);
+      return this.defineProperty(target, name, isAccessorDescriptor(desc) ?
+        {configurable:false} : {writable:false, configurable:false});
     }, this);
   },
+  // ES2015 7.3.15 TestIntegrityLevel(O, "sealed")
+  isSealed: function(target) {
+    return testIntegrity(this, target, false);
+  },
+  // ES2015 7.3.15 TestIntegrityLevel(O, "frozen")
+  isFrozen: function(target) {
+    return testIntegrity(this, target, true);
+  },
+};
+Object.defineProperty(DelegatingHandler.prototype, "constructor",
+  { value: DelegatingHandler, writable: true, configurable: true });
+
+// Handlers that set this to true construct instances by calling their apply
+// trap, which only works for targets that can be called without new (not
+// e.g. classes, or built-ins such as Date and Map).
+DelegatingHandler.prototype.constructsThroughApply = false;
+
+// === legacy traps ===
+
+/**
+ * Handlers written against the draft Proxy API override traps such as
+ * getOwnPropertyNames, hasOwn, keys or freeze, which DelegatingHandler
+ * still defines as derived methods, but which native proxies never call.
+ * When DelegatingHandler.adaptLegacyTraps is true, proxyFor detects such
+ * overrides, and routes the standard traps through them:
+ *  - ownKeys through getOwnPropertyKeys, or getOwnPropertyNames (adding
+ *    the symbols reported by ownKeys)
+ *  - has, getOwnPropertyDescriptor and ownKeys through hasOwn: properties
+ *    for which hasOwn returns false are reported as non-existent
+ *  - getOwnPropertyDescriptor through keys, or else enumerate: own
+ *    configurable properties are reported as enumerable if and only if
+ *    they are listed by keys (or produced by enumerate), and ownKeys
+ *    includes the names they list. Inherited names produced by enumerate
+ *    are ignored.
+ *  - preventExtensions through seal, or else freeze. Since the
+ *    preventExtensions trap does not know which integrity level was
+ *    requested, Object.preventExtensions, Object.seal and Object.freeze
+ *    all call the same legacy trap.
+ * The legacy traps are called on the handler itself, so that their own
+ * calls to the standard traps (e.g. the inherited getOwnPropertyNames
+ * calling this.ownKeys) are not routed back to them.
+ *
+ * isFrozen and isSealed cannot be routed, since the engine tests integrity
+ * levels through isExtensible and getOwnPropertyDescriptor. For each
+ * handler class that overrides legacy traps, DelegatingHandler.warn is
+ * called once with a warning naming them.
+ */
+DelegatingHandler.adaptLegacyTraps = false;
+DelegatingHandler.warn = function(message) {
+  if (typeof console !== "undefined") {
+    console.warn(message);
+  }
 };
 
+var legacyTraps = [
+  "getOwnPropertyNames", "getOwnPropertyKeys", "hasOwn", "enumerate", "keys",
+  "freeze", "seal", "isFrozen", "isSealed"
+];
+
+// the handler classes whose legacy traps were reported by warnLegacyTraps
+var legacyWarnings = new WeakSet();
+
+function legacyOverrides(handler) {
+  return legacyTraps.filter(function(name) {
+    return typeof handler[name] === "function" &&
+           handler[name] !== DelegatingHandler.prototype[name];
+  });
+}
+
+function warnLegacyTraps(Handler, overrides) {
+  if (legacyWarnings.has(Handler)) {
+    return;
+  }
+  legacyWarnings.add(Handler);
+  var routed = overrides.filter(function(name) {
+    return name !== "isFrozen" && name !== "isSealed";
+  });
+  var ignored = overrides.filter(function(name) {
+    return routed.indexOf(name) === -1;
+  });
+  var message = (Handler.name || "handler") + " overrides deprecated traps " +
+    "that native proxies do not call: " + overrides.join(", ");
+  if (routed.length > 0) {
+    message += ". Routing the standard traps through " + routed.join(", ");
+  }
+  if (ignored.length > 0) {
+    message += ". Ignoring " + ignored.join(", ") + ", which cannot be routed";
+  }
+  DelegatingHandler.warn(message);
+}
+
+/**
+ * Returns handler, interposed on such that the standard traps are routed
+ * through the legacy traps it overrides.
+ */
+function legacyHandler(handler, Handler) {
+  var overrides = legacyOverrides(handler);
+  if (overrides.length === 0) {
+    return handler;
+  }
+  warnLegacyTraps(Handler, overrides);
+  function isOverridden(name) {
+    return overrides.indexOf(name) !== -1;
+  }
+  // the names of the own enumerable properties, if keys or enumerate
+  // is overridden
+  function enumerableNames(target) {
+    if (isOverridden("keys")) {
+      return handler.keys(target);
+    }
+    if (isOverridden("enumerate")) {
+      var result = handler.enumerate(target);
+      return Array.isArray(result) ? result : Array.from(result);
+    }
+    return undefined;
+  }
+  // Operations such as Object.keys call ownKeys, and then
+  // getOwnPropertyDescriptor for each of the string keys in turn. To avoid
+  // calling keys or enumerate again for each of them, ownKeys records the
+  // enumerable names for such a pass, which ends once the last key was
+  // looked up, or when another property is looked up or changed.
+  var pass = null;
+  function enumerableNameSet(target, name) {
+    if (pass !== null && pass.target === target &&
+        pass.keys[pass.index] === name) {
+      var names = pass.names;
+      pass.index++;
+      if (pass.index === pass.keys.length) {
+        pass = null;
+      }
+      return names;
+    }
+    pass = null;
+    return new Set(enumerableNames(target));
+  }
+  return interposeHandler(handler, function(name, trap, interposed) {
+    switch (name) {
+      case "ownKeys":
+        return function(target) {
+          var keys;
+          if (isOverridden("getOwnPropertyKeys")) {
+            keys = Array.from(handler.getOwnPropertyKeys(target));
+          } else {
+            keys = trap.call(handler, target);
+          }
+          if (isOverridden("getOwnPropertyNames") &&
+              !isOverridden("getOwnPropertyKeys")) {
+            keys = handler.getOwnPropertyNames(target).concat(
+              keys.filter(function(key) { return typeof key === "symbol"; }));
+          }
+          var names = enumerableNames(target);
+          if (names !== undefined) {
+            names = new Set(names);
+            var listed = new Set(keys);
+            names.forEach(function(name) {
+              if (!listed.has(name)) { keys.push(name); }
+            });
+          }
+          if (isOverridden("hasOwn")) {
+            keys = keys.filter(function(key) {
+              return handler.hasOwn(target, key);
+            });
+          }
+          var strings = keys.filter(function(key) {
+            return typeof key === "string";
+          });
+          pass = names === undefined || strings.length === 0 ? null :
+            { target: target, keys: strings, names: names, index: 0 };
+          return keys;
+        };
+      case "has":
+        if (!isOverridden("hasOwn")) { return trap; }
+        return function(target, name) {
+          if (handler.hasOwn(target, name)) {
+            return true;
+          }
+          var proto = handler.getPrototypeOf(target);
+          return proto !== null && Reflect.has(proto, name);
+        };
+      case "getOwnPropertyDescriptor":
+        if (!isOverridden("hasOwn") && !isOverridden("keys") &&
+            !isOverridden("enumerate")) {
+          return trap;
+        }
+        return function(target, name) {
+          var names = typeof name === "string" &&
+                      (isOverridden("keys") || isOverridden("enumerate")) ?
+            enumerableNameSet(target, name) : undefined;
+          if (isOverridden("hasOwn") && !handler.hasOwn(target, name)) {
+            return undefined;
+          }
+          var desc = trap.call(handler, target, name);
+          if (desc !== undefined && names !== undefined && desc.configurable) {
+            desc = Object.assign({}, desc);
+            desc.enumerable = names.has(name);
+          }
+          return desc;
+        };
+      case "defineProperty":
+      case "deleteProperty":
+        return function(/*target, name, ...args*/) {
+          pass = null;
+          return trap.apply(interposed, arguments);
+        };
+      case "preventExtensions":
+        if (isOverridden("seal")) {
+          return function(target) { return handler.seal(target); };
+        }
+        if (isOverridden("freeze")) {
+          return function(target) { return handler.freeze(target); };
+        }
+        return trap;
+      default:
+        return trap;
+    }
+  });
+}
+
 // === ForwardingHandler ===
 
 function ForwardingHandler() {
   DelegatingHandler.call(this); // not strictly necessary
 }
-ForwardingHandler.prototype = Object.create(DelegatingHandler.prototype);
+extend(ForwardingHandler, DelegatingHandler);
+// the fast paths of ForwardingHandler still need the target's own property
+// descriptor, to call accessors on the target, but skip its normalization
 ForwardingHandler.prototype.get = function(target, name, receiver) {
-  var desc = this.getOwnPropertyDescriptor(target, name);
-  desc = normalizeAndCompletePropertyDescriptor(desc);
+  var desc;
+  if (fastPaths(this).get) {
+    desc = Reflect.getOwnPropertyDescriptor(target, name);
+  } else {
+    desc = this.getOwnPropertyDescriptor(target, name);
+    desc = normalizeAndCompletePropertyDescriptor(desc);
+  }
   if (desc === undefined) {
     var proto = this.getPrototypeOf(target);
     if (proto === null) {
@@ -391,42 +1029,33 @@ ForwardingHandler.prototype.get = function(target, name, receiver) {
   if (getter === undefined) {
     return undefined;
   }
-  return desc.get.call(target);
+  return getter.call(target);
 };
 ForwardingHandler.prototype.set = function(target, name, value, receiver) {
-  var ownDesc = this.getOwnPropertyDescriptor(target, name);
-  ownDesc = normalizeAndCompletePropertyDescriptor(ownDesc);
-  if (isDataDescriptor(ownDesc)) {
-    if (!ownDesc.writable) return false;
-  }
-  if (isAccessorDescriptor(ownDesc)) {
-    if(ownDesc.set === undefined) return false;
-    ownDesc.set.call(target, value);
-    return true;
+  var ownDesc;
+  if (fastPaths(this).set) {
+    ownDesc = Reflect.getOwnPropertyDescriptor(target, name);
+  } else {
+    ownDesc = this.getOwnPropertyDescriptor(target, name);
+    ownDesc = normalizeAndCompletePropertyDescriptor(ownDesc);
   }
-  var proto = this.getPrototypeOf(target);
-  if (proto === null) {
-    var receiverDesc = Object.getOwnPropertyDescriptor(receiver, name);
-    if (isAccessorDescriptor(receiverDesc)) {
-      if(receiverDesc.set === undefined) return false;
-      receiverDesc.set.call(target, value);
-      return true;
-    }
-    if (isDataDescriptor(receiverDesc)) {
-      if (!receiverDesc.writable) return false;
-      Object.defineProperty(receiver, name, {value: value});
-      return true;
+  if (ownDesc === undefined) {
+    var proto = this.getPrototypeOf(target);
+    if (proto !== null) {
+      return Reflect.set(proto, name, value, receiver);
     }
-    if (!Object.isExtensible(receiver)) return false;
-    Object.defineProperty(receiver, name,
-      { value: value,
-        writable: true,
-        enumerable: true,
-        configurable: true });
+    ownDesc = { value: undefined,
+                writable: true,
+                enumerable: true,
+                configurable: true };
+  }
+  if (isAccessorDescriptor(ownDesc)) {
+    var setter = ownDesc.set;
+    if (setter === undefined) return false;
+    setter.call(target, value);
     return true;
-  } else {
-    return Reflect.set(proto, name, value, receiver);
   }
+  return setOnReceiver(ownDesc, name, value, receiver);
 };
 
 // === VirtualHandler ===
@@ -439,21 +1068,4055 @@ function abstract(name) {
 function VirtualHandler() {
   DelegatingHandler.call(this); // not strictly necessary
 }
-VirtualHandler.prototype = Object.create(DelegatingHandler.prototype);
+extend(VirtualHandler, DelegatingHandler);
 VirtualHandler.prototype.getOwnPropertyDescriptor = abstract("getOwnPropertyDescriptor");
-VirtualHandler.prototype.getOwnPropertyNames      = abstract("getOwnPropertyNames");
-VirtualHandler.prototype.getOwnPropertyKeys       = abstract("getOwnPropertyKeys");
+VirtualHandler.prototype.ownKeys                  = abstract("ownKeys");
 VirtualHandler.prototype.getPrototypeOf           = abstract("getPrototypeOf");
 VirtualHandler.prototype.setPrototypeOf           = abstract("setPrototypeOf");
 VirtualHandler.prototype.defineProperty           = abstract("defineProperty");
 VirtualHandler.prototype.deleteProperty           = abstract("deleteProperty");
 VirtualHandler.prototype.preventExtensions        = abstract("preventExtensions");
+VirtualHandler.prototype.isExtensible             = abstract("isExtensible");
 VirtualHandler.prototype.apply                    = abstract("apply");
 
+// Handlers whose proxyFor keeps the target consistent with the proxy
+// themselves set this to true (e.g. by using a shadow target).
+VirtualHandler.prototype.managesTarget = false;
+// a VirtualHandler does not forward to its dummy target, so it constructs
+// instances through its apply trap
+VirtualHandler.prototype.constructsThroughApply = true;
+
+/**
+ * The proxies of a VirtualHandler represent an object other than their
+ * (dummy) target, but the proxy invariants are still checked against the
+ * target. To let virtual objects have non-configurable properties, or
+ * become non-extensible (e.g. by Object.freeze), the proxyFor methods of
+ * VirtualHandler interpose on the handler's traps, and use the target as a
+ * shadow: non-configurable properties reported by the handler are copied
+ * onto it, and once the virtual object is reported non-extensible, all its
+ * properties and its prototype are copied and the target is made
+ * non-extensible as well.
+ *
+ * Note that this requires the target to be extensible, and to have no
+ * non-configurable properties of its own (other than those of the virtual
+ * object), e.g. an empty object or a bound function.
+ */
+function shadowingHandler(handler) {
+  // fixing the target uses the traps of the original handler, as the
+  // wrapped ownKeys trap may itself fix the target
+  function fixTarget(target) {
+    fixShadowTarget(target, handler.ownKeys(target), function(key) {
+      var desc = handler.getOwnPropertyDescriptor(target, key);
+      return desc === undefined ? undefined : toCompletePropertyDescriptor(desc);
+    }, handler.getPrototypeOf(target));
+  }
+  return interposeHandler(handler, function(name, trap, interposed) {
+    switch (name) {
+      case "getOwnPropertyDescriptor":
+        return function(target, key) {
+          var desc = trap.call(interposed, target, key);
+          updateShadowProperty(target, key, desc === undefined ? undefined :
+                                            toCompletePropertyDescriptor(desc));
+          return desc;
+        };
+      case "defineProperty":
+        return function(target, key, desc) {
+          var success = trap.call(interposed, target, key, desc);
+          if (success && (desc.configurable === false ||
+                          !Reflect.isExtensible(target))) {
+            interposed.getOwnPropertyDescriptor(target, key);
+          }
+          return success;
+        };
+      case "deleteProperty":
+        return function(target, key) {
+          var success = trap.call(interposed, target, key);
+          if (success) {
+            updateShadowProperty(target, key, undefined);
+          }
+          return success;
+        };
+      case "ownKeys":
+        // like those of an ordinary object, regardless of the order in
+        // which the handler lists them
+        return function(target) {
+          if (!Reflect.isExtensible(target)) {
+            fixTarget(target);
+          }
+          return orderKeys(trap.call(interposed, target));
+        };
+      case "preventExtensions":
+        return function(target) {
+          var success = trap.call(interposed, target);
+          if (success) {
+            fixTarget(target);
+          }
+          return success;
+        };
+      case "isExtensible":
+        return function(target) {
+          var extensible = trap.call(interposed, target);
+          if (!extensible && Reflect.isExtensible(target)) {
+            fixTarget(target);
+          }
+          return extensible;
+        };
+      default:
+        return function(/*...args*/) {
+          return trap.apply(interposed, arguments);
+        };
+    }
+  });
+}
+
+// === VirtualArrayHandler ===
+
+/**
+ * A VirtualArrayHandler represents a virtual array, whose elements are
+ * provided by the handler rather than stored on the target. Subclasses
+ * only implement:
+ *
+ *  - length(): the current number of elements
+ *  - getItem(i): the element at index i, for 0 <= i < length()
+ *
+ * and, to make the array mutable:
+ *
+ *  - setItem(i, value): updates the element at index i, for
+ *    0 <= i <= length() (i.e. setItem(length(), value) appends)
+ *  - truncate(n): removes all elements at index n and above
+ *
+ * The handler derives the index properties and "length" from these:
+ * elements are enumerable, configurable data properties that are writable
+ * if setItem is implemented, and own keys are reported in the order of an
+ * ordinary array (indices, then other strings, then symbols). Elements
+ * cannot be holes, so defining an index past length() or deleting an
+ * element other than the last one fails, as does growing the array by
+ * setting its length.
+ *
+ * The target must be an empty array, so that Array.isArray works on the
+ * proxy and Array.prototype methods (including iteration) are inherited.
+ * Properties whose key is not an array index (other than "length") are
+ * stored on the target.
+ *
+ * Usage:
+ *   class Range extends VirtualArrayHandler {
+ *     constructor(n) { super(); this.n = n; }
+ *     length() { return this.n; }
+ *     getItem(i) { return i; }
+ *   }
+ *   var r = Range.proxyFor([], 3); // acts like [0, 1, 2]
+ */
+function VirtualArrayHandler() {
+  VirtualHandler.call(this); // not strictly necessary
+}
+extend(VirtualArrayHandler, VirtualHandler);
+VirtualArrayHandler.prototype.managesTarget = true;
+
+function checkArrayTarget(target) {
+  if (!Array.isArray(target) || target.length !== 0) {
+    throw new TypeError("VirtualArrayHandler target must be an empty array");
+  }
+}
+VirtualArrayHandler[proxyFactory] = function(target, args, options) {
+  checkArrayTarget(target);
+  return DelegatingHandler[proxyFactory].call(this, target, args, options);
+};
+
+var MAX_ARRAY_INDEX = 4294967294; // 2^32 - 2
+
+/**
+ * Returns the array index denoted by key, or -1 if key is not a canonical
+ * array index (e.g. "01", "1.0" and "-0" are not).
+ */
+function toArrayIndex(key) {
+  if (typeof key !== "string") { return -1; }
+  var index = Number(key) >>> 0;
+  if (String(index) !== key || index > MAX_ARRAY_INDEX) { return -1; }
+  return index;
+}
+
+// ES2015 9.4.2.4 ArraySetLength, step 3-5
+function toArrayLength(value) {
+  var length = value >>> 0;
+  if (length !== Number(value)) {
+    throw new RangeError("Invalid array length: " + String(value));
+  }
+  return length;
+}
+
+VirtualArrayHandler.prototype.length = abstract("length");
+VirtualArrayHandler.prototype.getItem = abstract("getItem");
+
+VirtualArrayHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  if (name === "length") {
+    // must stay compatible with the target's non-configurable, writable
+    // length, so it is writable even if the array cannot be resized
+    return { value: this.length(), writable: true,
+             enumerable: false, configurable: false };
+  }
+  var index = toArrayIndex(name);
+  if (index === -1) {
+    return Reflect.getOwnPropertyDescriptor(target, name);
+  }
+  if (index >= this.length()) {
+    return undefined;
+  }
+  return { value: this.getItem(index),
+           writable: typeof this.setItem === "function",
+           enumerable: true,
+           configurable: true };
+};
+VirtualArrayHandler.prototype.ownKeys = function(target) {
+  var keys = [];
+  for (var i = 0, l = this.length(); i < l; i++) {
+    keys.push(String(i));
+  }
+  // the target's own keys start with "length", followed by the other
+  // strings in creation order, followed by the symbols
+  return keys.concat(Reflect.ownKeys(target));
+};
+VirtualArrayHandler.prototype.defineProperty = function(target, name, desc) {
+  if (name === "length") {
+    if (isAccessorDescriptor(desc) || desc.writable === false ||
+        desc.enumerable === true || desc.configurable === true) {
+      return false;
+    }
+    if (!("value" in desc)) { return true; }
+    var newLength = toArrayLength(desc.value);
+    var length = this.length();
+    if (newLength === length) { return true; }
+    if (newLength > length || typeof this.truncate !== "function") {
+      return false;
+    }
+    this.truncate(newLength);
+    return true;
+  }
+  var index = toArrayIndex(name);
+  if (index === -1) {
+    return Reflect.defineProperty(target, name, desc);
+  }
+  if (typeof this.setItem !== "function" || isAccessorDescriptor(desc) ||
+      desc.writable === false || desc.enumerable === false ||
+      desc.configurable === false) {
+    return false;
+  }
+  var length = this.length();
+  if (index > length || (index === length && !("value" in desc))) {
+    return false;
+  }
+  if ("value" in desc) {
+    this.setItem(index, desc.value);
+  }
+  return true;
+};
+VirtualArrayHandler.prototype.deleteProperty = function(target, name) {
+  if (name === "length") { return false; }
+  var index = toArrayIndex(name);
+  if (index === -1) {
+    return Reflect.deleteProperty(target, name);
+  }
+  var length = this.length();
+  if (index >= length) { return true; }
+  if (index !== length - 1 || typeof this.truncate !== "function") {
+    return false;
+  }
+  this.truncate(index);
+  return true;
+};
+VirtualArrayHandler.prototype.getPrototypeOf = function(target) {
+  return Reflect.getPrototypeOf(target);
+};
+VirtualArrayHandler.prototype.setPrototypeOf = function(target, proto) {
+  return Reflect.setPrototypeOf(target, proto);
+};
+VirtualArrayHandler.prototype.isExtensible = function(target) {
+  return Reflect.isExtensible(target);
+};
+// the elements cannot be fixed on the target, so the proxy must stay
+// extensible
+VirtualArrayHandler.prototype.preventExtensions = function(target) {
+  return false;
+};
+
+// === StorageHandler ===
+
+/**
+ * A StorageHandler represents a key-value store as a plain-looking object,
+ * whose string-keyed properties are the entries of the store. The store
+ * is accessed through an adapter with the following methods:
+ *
+ *  - get(key): returns the value stored under key
+ *  - set(key, value): stores value under key
+ *  - delete(key): removes key from the store
+ *  - keys(): returns an array of all stored keys
+ *  - has(key) (optional): whether key is stored, defaults to using keys()
+ *  - flush() (optional): persists the updates made so far
+ *
+ * MapAdapter and FileAdapter below are ready-made adapters.
+ *
+ * Entries show up as writable, enumerable, configurable data properties.
+ * Other properties cannot be stored: defining an accessor, a property
+ * with other attributes, or a symbol-keyed property fails.
+ *
+ * options.flush is either "write-through" (the default), which passes
+ * every update to the adapter and flushes it immediately, or "batched",
+ * which buffers updates in the handler until StorageHandler.flush(proxy).
+ * Reads take buffered updates into account.
+ *
+ * The target should be an empty object. It only provides the prototype
+ * of the proxy (e.g. use Object.create(null) for a prototype-less map).
+ *
+ * Usage:
+ *   var config = StorageHandler.proxyFor({}, new FileAdapter("config.json"),
+ *                                        { flush: "batched" });
+ *   config.port = 8080;
+ *   StorageHandler.flush(config);
+ */
+function StorageHandler(adapter, options) {
+  VirtualHandler.call(this);
+  var flush = (options && options.flush) || "write-through";
+  if (flush !== "write-through" && flush !== "batched") {
+    throw new TypeError("invalid flush option: " + String(flush));
+  }
+  this.adapter = adapter;
+  this.batched = flush === "batched";
+  this.pending = new Map(); // maps keys to { value } or { deleted: true }
+}
+extend(StorageHandler, VirtualHandler);
+StorageHandler.prototype.managesTarget = true;
+
+// maps proxies created by StorageHandler.proxyFor (or the proxyFor of
+// its subclasses) to their handler
+var storageHandlers = new WeakMap();
+
+StorageHandler[proxyFactory] = function(target, args, options) {
+  var handler = makeHandler(this, args, options);
+  var result = newProxy(target, handler, options);
+  storageHandlers.set(result.proxy, handler);
+  return result;
+};
+/**
+ * Passes the updates buffered by the handler of proxy to its adapter,
+ * and flushes the adapter.
+ */
+StorageHandler.flush = function(proxy) {
+  var handler = storageHandlers.get(proxy);
+  if (handler === undefined) {
+    throw new TypeError("not a proxy created by StorageHandler.proxyFor: " +
+                        String(proxy));
+  }
+  handler.flush();
+};
+
+StorageHandler.prototype.flush = function() {
+  var adapter = this.adapter;
+  this.pending.forEach(function(update, key) {
+    if (update.deleted) {
+      adapter.delete(key);
+    } else {
+      adapter.set(key, update.value);
+    }
+  });
+  this.pending.clear();
+  if (typeof adapter.flush === "function") {
+    adapter.flush();
+  }
+};
+StorageHandler.prototype.hasEntry = function(key) {
+  var update = this.pending.get(key);
+  if (update !== undefined) {
+    return !update.deleted;
+  }
+  if (typeof this.adapter.has === "function") {
+    return this.adapter.has(key);
+  }
+  return this.adapter.keys().indexOf(key) !== -1;
+};
+StorageHandler.prototype.readEntry = function(key) {
+  var update = this.pending.get(key);
+  return update !== undefined ? update.value : this.adapter.get(key);
+};
+StorageHandler.prototype.updateEntry = function(key, update) {
+  this.pending.set(key, update);
+  if (!this.batched) {
+    this.flush();
+  }
+};
+
+StorageHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  if (typeof name !== "string" || !this.hasEntry(name)) {
+    return undefined;
+  }
+  return { value: this.readEntry(name), writable: true,
+           enumerable: true, configurable: true };
+};
+StorageHandler.prototype.ownKeys = function(target) {
+  var keys = this.adapter.keys().filter(function(key) {
+    var update = this.pending.get(key);
+    return update === undefined || !update.deleted;
+  }, this);
+  this.pending.forEach(function(update, key) {
+    if (!update.deleted && keys.indexOf(key) === -1) {
+      keys.push(key);
+    }
+  });
+  return orderKeys(keys);
+};
+StorageHandler.prototype.defineProperty = function(target, name, desc) {
+  if (typeof name !== "string" || isAccessorDescriptor(desc)) {
+    return false;
+  }
+  // a new property must be given all attributes explicitly, as they
+  // would default to false
+  var exists = this.hasEntry(name);
+  var attributes = ["writable", "enumerable", "configurable"];
+  for (var i = 0; i < attributes.length; i++) {
+    var attr = attributes[i];
+    if (exists ? desc[attr] === false : desc[attr] !== true) {
+      return false;
+    }
+  }
+  if ("value" in desc) {
+    this.updateEntry(name, { value: desc.value });
+  } else if (!exists) {
+    this.updateEntry(name, { value: undefined });
+  }
+  return true;
+};
+StorageHandler.prototype.deleteProperty = function(target, name) {
+  if (typeof name === "string" && this.hasEntry(name)) {
+    this.updateEntry(name, { deleted: true });
+  }
+  return true;
+};
+StorageHandler.prototype.getPrototypeOf = function(target) {
+  return Reflect.getPrototypeOf(target);
+};
+StorageHandler.prototype.setPrototypeOf = function(target, proto) {
+  return Reflect.setPrototypeOf(target, proto);
+};
+StorageHandler.prototype.isExtensible = function(target) {
+  return Reflect.isExtensible(target);
+};
+// the entries cannot be fixed on the target, so the proxy must stay
+// extensible
+StorageHandler.prototype.preventExtensions = function(target) {
+  return false;
+};
+
+/**
+ * A StorageHandler adapter that stores entries in a Map (a new one if
+ * map is undefined).
+ */
+function MapAdapter(map) {
+  this.map = map === undefined ? new Map() : map;
+}
+MapAdapter.prototype.get = function(key) { return this.map.get(key); };
+MapAdapter.prototype.set = function(key, value) { this.map.set(key, value); };
+MapAdapter.prototype.delete = function(key) { this.map.delete(key); };
+MapAdapter.prototype.has = function(key) { return this.map.has(key); };
+MapAdapter.prototype.keys = function() {
+  return Array.from(this.map.keys()).filter(function(key) {
+    return typeof key === "string";
+  });
+};
+
+/**
+ * A StorageHandler adapter that stores entries as a JSON object in the
+ * file at path, using synchronous file I/O (node.js only). The file is
+ * read once, if it exists, and rewritten on every flush, so values must be
+ * JSON-serializable.
+ */
+function FileAdapter(path) {
+  if (typeof require !== "function") {
+    throw new TypeError("FileAdapter requires node.js");
+  }
+  this.fs = require("fs");
+  this.path = path;
+  this.data = Object.create(null);
+  this.dirty = false;
+  if (this.fs.existsSync(path)) {
+    var data = JSON.parse(this.fs.readFileSync(path, "utf8"));
+    Object.keys(data).forEach(function(key) {
+      this.data[key] = data[key];
+    }, this);
+  }
+}
+FileAdapter.prototype.get = function(key) { return this.data[key]; };
+FileAdapter.prototype.set = function(key, value) {
+  this.data[key] = value;
+  this.dirty = true;
+};
+FileAdapter.prototype.delete = function(key) {
+  delete this.data[key];
+  this.dirty = true;
+};
+FileAdapter.prototype.has = function(key) { return key in this.data; };
+FileAdapter.prototype.keys = function() { return Object.keys(this.data); };
+FileAdapter.prototype.flush = function() {
+  if (this.dirty) {
+    this.fs.writeFileSync(this.path, JSON.stringify(this.data, null, 2));
+    this.dirty = false;
+  }
+};
+
+// === compose ===
+
+/**
+ * Returns a handler constructor whose traps are defined by a stack of
+ * layers, the first layer being the outermost one. A layer is an object
+ * that implements any subset of the traps, each taking an extra first
+ * argument next, which calls the same trap on the layer beneath it:
+ *
+ *   var logging = {
+ *     defineProperty: function(next, target, name, desc) {
+ *       console.log("updated: " + String(name));
+ *       return next(target, name, desc);
+ *     }
+ *   };
+ *   var Handler = compose(logging, readOnly);
+ *   var p = Handler.proxyFor(target);
+ *
+ * Beneath the last layer are the traps of DelegatingHandler, so derived
+ * traps still call the fundamental traps on |this|, i.e. through the whole
+ * stack: an override of defineProperty in any layer is seen by set.
+ * Within a trap, |this| is the composed handler. Layers are shared by all
+ * proxies created by the constructor, and can be reused and reordered
+ * across compositions.
+ */
+function compose(/*...layers*/) {
+  var layers = Array.prototype.slice.call(arguments);
+  layers.forEach(function(layer) {
+    if (Object(layer) !== layer) {
+      throw new TypeError("layer must be an object, got: " + String(layer));
+    }
+  });
+
+  function ComposedHandler() {
+    DelegatingHandler.call(this); // not strictly necessary
+  }
+  extend(ComposedHandler, DelegatingHandler);
+  ComposedHandler.layers = layers;
+
+  // only traps that some layer implements are overridden, so that the
+  // others keep their fast paths
+  standardTraps.forEach(function(name) {
+    var stack = layers.filter(function(layer) {
+      return typeof layer[name] === "function";
+    });
+    if (stack.length === 0) { return; }
+    var bottom = DelegatingHandler.prototype[name];
+    ComposedHandler.prototype[name] = function(/*...args*/) {
+      var handler = this;
+      function callLayer(i, args) {
+        if (i === stack.length) {
+          return bottom.apply(handler, args);
+        }
+        var next = function(/*...args*/) {
+          return callLayer(i + 1, arguments);
+        };
+        return stack[i][name].apply(handler,
+          [next].concat(Array.prototype.slice.call(args)));
+      }
+      return callLayer(0, arguments);
+    };
+  });
+  return ComposedHandler;
+}
+
+// === RedirectingHandler ===
+
+/**
+ * A RedirectingHandler reroutes all fundamental traps to a backing object
+ * that can be replaced at any time, so that existing references to the
+ * proxy see the new object from then on. The proxy's target is a "shadow"
+ * target that is kept in sync with the backing object as far as the proxy
+ * invariants require.
+ *
+ * Usage:
+ *   var p = RedirectingHandler.proxyFor(shadowTarget, config);
+ *   RedirectingHandler.addSwapListener(p, function(newConfig, oldConfig) {
+ *     ...
+ *   });
+ *   RedirectingHandler.setTarget(p, reloadedConfig);
+ *
+ * Swapping is refused with a TypeError if the new backing object
+ * contradicts what the proxy already reported as permanent:
+ *  - every non-configurable property reported so far must exist on the new
+ *    object, be non-configurable and compatible (e.g. a non-writable
+ *    property must keep its value);
+ *  - if the proxy was reported non-extensible, the new object must be
+ *    non-extensible, with the same own properties and prototype.
+ * Similarly, a callable backing object requires a callable shadow target,
+ * preferably one without a "prototype" property (e.g. a bound function).
+ */
+function RedirectingHandler(backing) {
+  VirtualHandler.call(this);
+  this.backing = backing;
+  this.shadow = undefined;
+  this.swapListeners = [];
+}
+extend(RedirectingHandler, VirtualHandler);
+RedirectingHandler.prototype.managesTarget = true;
+
+// maps proxies created by RedirectingHandler.proxyFor (or the proxyFor of
+// its subclasses) to their handler
+var redirectingHandlers = new WeakMap();
+
+RedirectingHandler[proxyFactory] = function(shadowTarget, args, options) {
+  var handler = makeHandler(this, args, options);
+  handler.shadow = shadowTarget;
+  var result = newProxy(shadowTarget, handler, options);
+  redirectingHandlers.set(result.proxy, handler);
+  return result;
+};
+
+function redirectingHandlerFor(proxy, Handler) {
+  var handler = redirectingHandlers.get(proxy);
+  if (!(handler instanceof Handler)) {
+    throw new TypeError("not a proxy created by " + Handler.name +
+                        ".proxyFor: " + proxy);
+  }
+  return handler;
+}
+RedirectingHandler.getTarget = function(proxy) {
+  return redirectingHandlerFor(proxy, RedirectingHandler).getTarget();
+};
+RedirectingHandler.setTarget = function(proxy, backing) {
+  redirectingHandlerFor(proxy, RedirectingHandler).setTarget(backing);
+};
+RedirectingHandler.addSwapListener = function(proxy, listener) {
+  redirectingHandlerFor(proxy, RedirectingHandler).addSwapListener(listener);
+};
+RedirectingHandler.removeSwapListener = function(proxy, listener) {
+  redirectingHandlerFor(proxy, RedirectingHandler)
+    .removeSwapListener(listener);
+};
+
+/**
+ * Returns a description of why obj cannot serve as the backing object of a
+ * proxy whose target is shadow, or undefined if it can.
+ */
+function incompatibleBacking(shadow, obj) {
+  if (Object(obj) !== obj) {
+    return "backing object must be an object, given: " + obj;
+  }
+  if ((typeof obj === "function") !== (typeof shadow === "function")) {
+    return "backing object is " + (typeof obj === "function" ? "" : "not ") +
+           "a function, but the shadow target is " +
+           (typeof shadow === "function" ? "" : "not ") + "a function";
+  }
+  var shadowKeys = Reflect.ownKeys(shadow);
+  for (var i = 0; i < shadowKeys.length; i++) {
+    var key = shadowKeys[i];
+    var shadowDesc = Reflect.getOwnPropertyDescriptor(shadow, key);
+    if (shadowDesc.configurable) continue;
+    var desc = Reflect.getOwnPropertyDescriptor(obj, key);
+    if (desc === undefined || desc.configurable) {
+      return "backing object must have non-configurable property " +
+             showKey(key);
+    }
+    if (!isCompatibleDescriptor(true, desc, shadowDesc)) {
+      return "backing object's property " + showKey(key) + " is " +
+             "incompatible with the non-configurable property reported before";
+    }
+  }
+  if (!Reflect.isExtensible(shadow)) {
+    if (Reflect.isExtensible(obj)) {
+      return "backing object must be non-extensible";
+    }
+    if (Reflect.getPrototypeOf(obj) !== Reflect.getPrototypeOf(shadow)) {
+      return "backing object must have the same prototype";
+    }
+    var keys = Reflect.ownKeys(obj);
+    if (keys.length !== shadowKeys.length ||
+        !keys.every(function(key) { return shadowKeys.indexOf(key) !== -1; })) {
+      return "backing object must have the same own properties";
+    }
+  }
+  return undefined;
+}
+
+RedirectingHandler.prototype.getTarget = function() {
+  return this.backing;
+};
+/**
+ * Replaces the backing object, then notifies the swap listeners with the
+ * new and the old backing object. Throws a TypeError, leaving the backing
+ * object unchanged, if newBacking is incompatible with the shadow target.
+ */
+RedirectingHandler.prototype.setTarget = function(newBacking) {
+  if (this.shadow !== undefined) {
+    var reason = incompatibleBacking(this.shadow, newBacking);
+    if (reason !== undefined) {
+      throw new TypeError("cannot redirect proxy: " + reason);
+    }
+  }
+  var oldBacking = this.backing;
+  this.backing = newBacking;
+  if (this.shadow !== undefined && !Reflect.isExtensible(this.shadow)) {
+    this.fixTarget(this.shadow);
+  }
+  this.swapListeners.slice().forEach(function(listener) {
+    listener(newBacking, oldBacking);
+  });
+};
+RedirectingHandler.prototype.addSwapListener = function(listener) {
+  this.swapListeners.push(listener);
+};
+RedirectingHandler.prototype.removeSwapListener = function(listener) {
+  var index = this.swapListeners.indexOf(listener);
+  if (index !== -1) {
+    this.swapListeners.splice(index, 1);
+  }
+};
+
+// returns the backing object, after checking that it suits target
+RedirectingHandler.prototype.backingFor = function(target) {
+  this.shadow = target;
+  var backing = this.getTarget();
+  if ((typeof backing === "function") !== (typeof target === "function")) {
+    throw new TypeError(incompatibleBacking(target, backing));
+  }
+  return backing;
+};
+RedirectingHandler.prototype.fixTarget = function(target) {
+  var backing = this.getTarget();
+  fixShadowTarget(target, Reflect.ownKeys(backing), function(key) {
+    return Reflect.getOwnPropertyDescriptor(backing, key);
+  }, Reflect.getPrototypeOf(backing));
+};
+
+RedirectingHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  var desc = Reflect.getOwnPropertyDescriptor(this.backingFor(target), name);
+  updateShadowProperty(target, name, desc);
+  return desc;
+};
+RedirectingHandler.prototype.defineProperty = function(target, name, desc) {
+  var backing = this.backingFor(target);
+  var success = Reflect.defineProperty(backing, name, desc);
+  if (success) {
+    updateShadowProperty(target, name,
+                         Reflect.getOwnPropertyDescriptor(backing, name));
+  }
+  return success;
+};
+RedirectingHandler.prototype.deleteProperty = function(target, name) {
+  var success = Reflect.deleteProperty(this.backingFor(target), name);
+  if (success) {
+    updateShadowProperty(target, name, undefined);
+  }
+  return success;
+};
+RedirectingHandler.prototype.ownKeys = function(target) {
+  var backing = this.backingFor(target);
+  if (!Reflect.isExtensible(target)) {
+    this.fixTarget(target);
+  }
+  return Reflect.ownKeys(backing);
+};
+RedirectingHandler.prototype.getPrototypeOf = function(target) {
+  return Reflect.getPrototypeOf(this.backingFor(target));
+};
+RedirectingHandler.prototype.setPrototypeOf = function(target, proto) {
+  return Reflect.setPrototypeOf(this.backingFor(target), proto);
+};
+RedirectingHandler.prototype.preventExtensions = function(target) {
+  var success = Reflect.preventExtensions(this.backingFor(target));
+  if (success) {
+    this.fixTarget(target);
+  }
+  return success;
+};
+RedirectingHandler.prototype.isExtensible = function(target) {
+  var extensible = Reflect.isExtensible(this.backingFor(target));
+  if (!extensible && Reflect.isExtensible(target)) {
+    this.fixTarget(target);
+  }
+  return extensible;
+};
+RedirectingHandler.prototype.apply = function(target, thisArg, args) {
+  return Reflect.apply(this.backingFor(target), thisArg, args);
+};
+RedirectingHandler.prototype.construct = function(target, args, newTarget) {
+  return Reflect.construct(this.backingFor(target), args, newTarget);
+};
+
+// === LazyHandler ===
+
+/**
+ * A LazyHandler represents an object that is only created, by calling a
+ * thunk, the first time the proxy is operated upon. It is a
+ * RedirectingHandler whose backing object is the result of the thunk.
+ *
+ * Usage:
+ *   var p = LazyHandler.proxyFor(dummyTarget, thunk);
+ *   LazyHandler.isForced(p) // false
+ *   p.foo // calls thunk()
+ *   LazyHandler.isForced(p) // true
+ *
+ * If the thunk returns a function, the dummy target must be a function as
+ * well. Use a function without a "prototype" property (e.g. a bound or
+ * arrow function), because a non-configurable "prototype" on the dummy
+ * target must then also exist on the lazy object.
+ */
+function LazyHandler(thunk) {
+  RedirectingHandler.call(this, undefined);
+  this.thunk = thunk;
+}
+extend(LazyHandler, RedirectingHandler);
+
+/**
+ * Forces the lazy object of proxy, and returns it.
+ */
+LazyHandler.force = function(proxy) {
+  return redirectingHandlerFor(proxy, LazyHandler).force();
+};
+/**
+ * Returns whether the lazy object of proxy was already created.
+ */
+LazyHandler.isForced = function(proxy) {
+  return redirectingHandlerFor(proxy, LazyHandler).isForced();
+};
+
+LazyHandler.prototype.isForced = function() {
+  return this.thunk === null;
+};
+LazyHandler.prototype.force = function() {
+  if (this.thunk !== null) {
+    var val = this.thunk.call(undefined);
+    if (Object(val) !== val) {
+      throw new TypeError("LazyHandler thunk must return an object, " +
+                          "returned: " + val);
+    }
+    this.backing = val;
+    this.thunk = null;
+  }
+  return this.backing;
+};
+LazyHandler.prototype.getTarget = LazyHandler.prototype.force;
+LazyHandler.prototype.setTarget = function(newBacking) {
+  this.force();
+  RedirectingHandler.prototype.setTarget.call(this, newBacking);
+};
+
+// === MembraneHandler ===
+
+/**
+ * A membrane separates two object graphs, the "wet" side and the "dry"
+ * side. Any object or function that crosses the membrane, be it as a
+ * property value, prototype, argument, return value or thrown exception,
+ * is wrapped in a proxy on the other side. Proxies are created once per
+ * object, and wrapping a proxy back across the membrane returns the object
+ * it wraps, so object identity is preserved on both sides.
+ *
+ * Revoking the membrane cuts off all of its proxies at once.
+ *
+ * Usage:
+ *   var membrane = new Membrane();
+ *   var dryObj = membrane.dry(wetObj); // hand dryObj to the dry side
+ *   ...
+ *   membrane.revoke(); // dryObj and all objects reached from it are now dead
+ *
+ * The constructor optionally takes a subclass of MembraneHandler, which is
+ * instantiated once for each wrapped object.
+ */
+function Membrane(Handler) {
+  var membrane = this;
+  this.Handler = Handler || MembraneHandler;
+  this.revoked = false;
+  this.wetToDry = new WeakMap();
+  this.dryToWet = new WeakMap();
+  this.revoke = function() {
+    membrane.revoked = true;
+    membrane.wetToDry = null;
+    membrane.dryToWet = null;
+  };
+}
+/**
+ * Returns the dry-side representation of a wet value.
+ */
+Membrane.prototype.dry = function(wetValue) {
+  return wrapAcross(this, wetValue, "dry");
+};
+/**
+ * Returns the wet-side representation of a dry value.
+ */
+Membrane.prototype.wet = function(dryValue) {
+  return wrapAcross(this, dryValue, "wet");
+};
+
+function wrapAcross(membrane, value, side) {
+  if (Object(value) !== value) {
+    return value;
+  }
+  if (membrane.revoked) {
+    throw new TypeError("membrane has been revoked");
+  }
+  var outMap = side === "dry" ? membrane.wetToDry : membrane.dryToWet;
+  var inMap = side === "dry" ? membrane.dryToWet : membrane.wetToDry;
+  var proxy = outMap.get(value);
+  if (proxy !== undefined) {
+    return proxy;
+  }
+  var handler = makeHandler(membrane.Handler, [membrane, value, side]);
+  proxy = createProxy(createShadowTarget(value), handler);
+  outMap.set(value, proxy);
+  inMap.set(proxy, value);
+  return proxy;
+}
+
+function wrapDescriptor(desc, wrap) {
+  if (desc === undefined) { return undefined; }
+  var result = {};
+  Object.keys(desc).forEach(function(attr) { result[attr] = desc[attr]; });
+  if ('value' in desc) { result.value = wrap(desc.value); }
+  if ('get' in desc) { result.get = wrap(desc.get); }
+  if ('set' in desc) { result.set = wrap(desc.set); }
+  return result;
+}
+
+// turns trap into a trap of a membrane proxy: it fails once the membrane
+// is revoked, and exceptions thrown by the wrapped object are wrapped.
+function membraneTrap(name, trap) {
+  return function(/*...args*/) {
+    if (this.membrane.revoked) {
+      throw new TypeError("cannot perform '" + name + "' on a proxy " +
+                          "whose membrane has been revoked");
+    }
+    try {
+      return trap.apply(this, arguments);
+    } catch (e) {
+      throw this.wrapOut(e);
+    }
+  };
+}
+
+/**
+ * The handler of a single membrane proxy. this.target is the wrapped
+ * object, and this.side is the side of the membrane on which the proxy
+ * is used ("dry" or "wet"). The proxy's actual target is a shadow target.
+ *
+ * Subclasses can override any trap and "super-send" to
+ * MembraneHandler.prototype to let the operation cross the membrane.
+ */
+function MembraneHandler(membrane, target, side) {
+  DelegatingHandler.call(this);
+  this.membrane = membrane;
+  this.target = target;
+  this.side = side;
+}
+extend(MembraneHandler, DelegatingHandler);
+
+// MembraneHandlers are instantiated by their membrane, which wraps objects
+// in membrane.dry and membrane.wet, so the inherited factories are disabled
+MembraneHandler[proxyFactory] = function(target, args, options) {
+  throw new TypeError("MembraneHandler proxies are created by a Membrane: " +
+                      "use membrane.dry(value) or membrane.wet(value)");
+};
+/**
+ * Wraps a value coming from this.target's side for use on the proxy's side.
+ */
+MembraneHandler.prototype.wrapOut = function(value) {
+  return this.side === "dry" ? this.membrane.dry(value) :
+                               this.membrane.wet(value);
+};
+/**
+ * Wraps a value coming from the proxy's side for use on this.target's side.
+ */
+MembraneHandler.prototype.wrapIn = function(value) {
+  return this.side === "dry" ? this.membrane.wet(value) :
+                               this.membrane.dry(value);
+};
+MembraneHandler.prototype.fixShadow = function(shadow) {
+  var target = this.target;
+  var wrapOut = this.wrapOut.bind(this);
+  fixShadowTarget(shadow, Reflect.ownKeys(target), function(key) {
+    return wrapDescriptor(Reflect.getOwnPropertyDescriptor(target, key),
+                          wrapOut);
+  }, wrapOut(Reflect.getPrototypeOf(target)));
+};
+
+MembraneHandler.prototype.getOwnPropertyDescriptor =
+  membraneTrap("getOwnPropertyDescriptor", function(shadow, name) {
+    var desc = wrapDescriptor(Reflect.getOwnPropertyDescriptor(this.target, name),
+                              this.wrapOut.bind(this));
+    updateShadowProperty(shadow, name, desc);
+    return desc;
+  });
+MembraneHandler.prototype.defineProperty =
+  membraneTrap("defineProperty", function(shadow, name, desc) {
+    var success = Reflect.defineProperty(this.target, name,
+                    wrapDescriptor(desc, this.wrapIn.bind(this)));
+    if (success) {
+      updateShadowProperty(shadow, name,
+        wrapDescriptor(Reflect.getOwnPropertyDescriptor(this.target, name),
+                       this.wrapOut.bind(this)));
+    }
+    return success;
+  });
+MembraneHandler.prototype.deleteProperty =
+  membraneTrap("deleteProperty", function(shadow, name) {
+    var success = Reflect.deleteProperty(this.target, name);
+    if (success) {
+      updateShadowProperty(shadow, name, undefined);
+    }
+    return success;
+  });
+MembraneHandler.prototype.ownKeys =
+  membraneTrap("ownKeys", function(shadow) {
+    if (!Reflect.isExtensible(shadow)) {
+      this.fixShadow(shadow);
+    }
+    return Reflect.ownKeys(this.target);
+  });
+MembraneHandler.prototype.getPrototypeOf =
+  membraneTrap("getPrototypeOf", function(shadow) {
+    return this.wrapOut(Reflect.getPrototypeOf(this.target));
+  });
+MembraneHandler.prototype.setPrototypeOf =
+  membraneTrap("setPrototypeOf", function(shadow, proto) {
+    return Reflect.setPrototypeOf(this.target, this.wrapIn(proto));
+  });
+MembraneHandler.prototype.preventExtensions =
+  membraneTrap("preventExtensions", function(shadow) {
+    var success = Reflect.preventExtensions(this.target);
+    if (success) {
+      this.fixShadow(shadow);
+    }
+    return success;
+  });
+MembraneHandler.prototype.isExtensible =
+  membraneTrap("isExtensible", function(shadow) {
+    var extensible = Reflect.isExtensible(this.target);
+    if (!extensible && Reflect.isExtensible(shadow)) {
+      this.fixShadow(shadow);
+    }
+    return extensible;
+  });
+MembraneHandler.prototype.apply =
+  membraneTrap("apply", function(shadow, thisArg, args) {
+    return this.wrapOut(Reflect.apply(this.target, this.wrapIn(thisArg),
+                                      args.map(this.wrapIn, this)));
+  });
+MembraneHandler.prototype.construct =
+  membraneTrap("construct", function(shadow, args, newTarget) {
+    return this.wrapOut(Reflect.construct(this.target,
+                                          args.map(this.wrapIn, this),
+                                          this.wrapIn(newTarget)));
+  });
+
+// === ReadOnlyHandler ===
+
+/**
+ * A ReadOnlyHandler provides a read-only view of an object: the view
+ * rejects defineProperty, deleteProperty, setPrototypeOf and
+ * preventExtensions, and therefore also assignments (which throw in
+ * strict mode code and are ignored in sloppy mode code). The object itself
+ * remains mutable by code that holds a direct reference to it.
+ *
+ * The view is deep: property values, prototypes, and the return values of
+ * functions obtained through the view are themselves read-only views,
+ * created lazily. Each call to proxyFor starts a new "root" with its own
+ * cache, so that a view returns the same view for the same object:
+ * view.a === view.a.
+ *
+ * Functions accessed through the view are called with the this-binding
+ * and arguments given by the caller, so methods called on a view
+ * (e.g. view.push(1)) cannot mutate the object either. The exceptions are
+ * the built-in methods that read the internal slots of their receiver
+ * without changing them (e.g. Date.prototype.getTime, Map.prototype.get,
+ * or the next method of built-in iterators): called on a view, they run
+ * against the object it views, so that they work, and their result is
+ * viewed in turn. Objects created by constructing a function obtained
+ * through the view are not part of the viewed state, and are not wrapped
+ * (though they inherit from a view).
+ *
+ * Usage:
+ *   var view = ReadOnlyHandler.proxyFor(state);
+ */
+function ReadOnlyHandler(target, context) {
+  DelegatingHandler.call(this);
+  this.target = target;
+  this.context = context;
+}
+extend(ReadOnlyHandler, DelegatingHandler);
+
+// maps all read-only views, regardless of their root, to the object they view
+var readOnlyViews = new WeakMap();
+
+// the built-in functions that read the internal slots of their receiver,
+// but do not update them. Those that call back into client code with the
+// receiver as an argument (e.g. Map.prototype.forEach) are left out, as
+// that would hand out the object itself.
+var slotReaders = new WeakSet();
+(function() {
+  function addReaders(proto, exclude) {
+    Reflect.ownKeys(proto).forEach(function(key) {
+      if (key === "constructor" || exclude.test(String(key))) {
+        return;
+      }
+      var desc = Reflect.getOwnPropertyDescriptor(proto, key);
+      if (typeof desc.value === "function") {
+        slotReaders.add(desc.value);
+      } else if (typeof desc.get === "function") {
+        slotReaders.add(desc.get);
+      }
+    });
+  }
+  addReaders(Date.prototype, /^set/);
+  addReaders(Map.prototype, /^(set|delete|clear|forEach)$/);
+  addReaders(Set.prototype, /^(add|delete|clear|forEach)$/);
+  addReaders(WeakMap.prototype, /^(set|delete)$/);
+  addReaders(WeakSet.prototype, /^(add|delete)$/);
+  [[], new Map(), new Set()].forEach(function(iterable) {
+    var iteratorProto = Object.getPrototypeOf(iterable[Symbol.iterator]());
+    slotReaders.add(iteratorProto.next);
+  });
+}());
+
+/**
+ * Creates a read-only view of target. Note that the proxy's actual target
+ * is a shadow target, not target itself. Revoking a view created by
+ * revocableProxyFor also revokes the views of the objects reachable from it.
+ */
+ReadOnlyHandler[proxyFactory] = function(target, args, options) {
+  var context = viewContext(this, args, options);
+  context.views = new WeakMap();
+  return rootView(context, readOnlyView(context, target));
+};
+
+function readOnlyView(context, value) {
+  if (Object(value) !== value || readOnlyViews.has(value)) {
+    return value;
+  }
+  var view = context.views.get(value);
+  if (view === undefined) {
+    var handler = makeHandler(context.Handler,
+                              [value, context].concat(context.args),
+                              context.options);
+    view = createView(context, createShadowTarget(value), handler);
+    context.views.set(value, view);
+    readOnlyViews.set(view, value);
+  }
+  return view;
+}
+
+/**
+ * Returns a read-only view of value, belonging to the same root as this view.
+ */
+ReadOnlyHandler.prototype.view = function(value) {
+  return readOnlyView(this.context, value);
+};
+ReadOnlyHandler.prototype.fixShadow = function(shadow) {
+  var target = this.target;
+  var view = this.view.bind(this);
+  fixShadowTarget(shadow, Reflect.ownKeys(target), function(key) {
+    return wrapDescriptor(Reflect.getOwnPropertyDescriptor(target, key), view);
+  }, view(Reflect.getPrototypeOf(target)));
+};
+
+ReadOnlyHandler.prototype.getOwnPropertyDescriptor = function(shadow, name) {
+  var desc = wrapDescriptor(Reflect.getOwnPropertyDescriptor(this.target, name),
+                            this.view.bind(this));
+  updateShadowProperty(shadow, name, desc);
+  return desc;
+};
+ReadOnlyHandler.prototype.ownKeys = function(shadow) {
+  if (!Reflect.isExtensible(shadow)) {
+    this.fixShadow(shadow);
+  }
+  return Reflect.ownKeys(this.target);
+};
+ReadOnlyHandler.prototype.getPrototypeOf = function(shadow) {
+  return this.view(Reflect.getPrototypeOf(this.target));
+};
+ReadOnlyHandler.prototype.isExtensible = function(shadow) {
+  var extensible = Reflect.isExtensible(this.target);
+  if (!extensible && Reflect.isExtensible(shadow)) {
+    this.fixShadow(shadow);
+  }
+  return extensible;
+};
+ReadOnlyHandler.prototype.defineProperty = function(shadow, name, desc) {
+  return false;
+};
+ReadOnlyHandler.prototype.deleteProperty = function(shadow, name) {
+  return false;
+};
+ReadOnlyHandler.prototype.setPrototypeOf = function(shadow, proto) {
+  return false;
+};
+ReadOnlyHandler.prototype.preventExtensions = function(shadow) {
+  return false;
+};
+ReadOnlyHandler.prototype.apply = function(shadow, thisArg, args) {
+  if (slotReaders.has(this.target) && readOnlyViews.has(thisArg)) {
+    thisArg = readOnlyViews.get(thisArg);
+  }
+  return this.view(Reflect.apply(this.target, thisArg, args));
+};
+// the instance inherits from the view of the prototype, but is not itself
+// part of the viewed state
+ReadOnlyHandler.prototype.construct = function(shadow, args, newTarget) {
+  return Reflect.construct(this.target, args, newTarget);
+};
+
+// === PolicyHandler ===
+
+/**
+ * A PolicyHandler restricts the operations that client code can perform on
+ * each property of the target, according to a declarative policy:
+ *
+ *   PolicyHandler.proxyFor(target, {
+ *     rules: [
+ *       { match: /^_/,        allow: [] }, // hidden
+ *       { match: "id",        allow: ["read", "enumerate"] },
+ *       { match: secretSym,   allow: ["read"] },
+ *       { match: "callback",  allow: ["read", "write", "enumerate"] }
+ *     ],
+ *     allow: ["read", "write", "define", "delete", "enumerate", "call"],
+ *     audit: function(denial) { console.log(denial.operation, denial.key); }
+ *   });
+ *
+ * The first rule whose match (a string, RegExp or symbol) matches a
+ * property key applies. Properties that no rule matches are subject to the
+ * policy's "allow" list, which defaults to all operations:
+ *  - read: without it, the property is hidden: it is reported as
+ *    non-existent by getOwnPropertyDescriptor, has, get and ownKeys
+ *    (and hence by Object.keys and for-in).
+ *  - write: assignment (the set trap).
+ *  - define: Object.defineProperty.
+ *  - delete: the delete operator.
+ *  - enumerate: without it, the property is reported as non-enumerable.
+ *  - call: without it, a function-valued property is returned as a
+ *    function that throws when called.
+ *
+ * Each denied operation is reported to the optional audit callback with a
+ * {operation, key} record. Denied updates return false, so they throw in
+ * strict mode code and are ignored in sloppy mode code.
+ *
+ * A policy cannot hide (or make non-enumerable) a non-configurable property
+ * of the target, nor hide any property of a non-extensible target, because
+ * the proxy invariants forbid it. proxyFor throws a TypeError if the target
+ * has such a property, and the traps throw a TypeError if one is added
+ * later.
+ */
+function PolicyHandler(policy) {
+  DelegatingHandler.call(this);
+  this.policy = policy;
+  this.assigning = []; // the keys currently being assigned by set
+  this.guards = new WeakMap(); // maps functions to their call guard
+}
+extend(PolicyHandler, DelegatingHandler);
+
+PolicyHandler.operations =
+  ["read", "write", "define", "delete", "enumerate", "call"];
+
+PolicyHandler[proxyFactory] = function(target, args, options) {
+  var handler = makeHandler(this, args, options);
+  Reflect.ownKeys(target).forEach(function(key) {
+    handler.checkRestrictable(target, key,
+                              Reflect.getOwnPropertyDescriptor(target, key));
+  });
+  return newProxy(target, handler, options);
+};
+
+function matchesKey(pattern, key) {
+  if (pattern instanceof RegExp) {
+    return typeof key === "string" && pattern.test(key);
+  }
+  return pattern === key;
+}
+
+/**
+ * Returns whether the policy allows operation on the property key.
+ */
+PolicyHandler.prototype.allows = function(operation, key) {
+  var rules = this.policy.rules || [];
+  for (var i = 0; i < rules.length; i++) {
+    if (matchesKey(rules[i].match, key)) {
+      return rules[i].allow.indexOf(operation) !== -1;
+    }
+  }
+  var allowed = this.policy.allow || PolicyHandler.operations;
+  return allowed.indexOf(operation) !== -1;
+};
+/**
+ * Reports a denied operation to the policy's audit callback, if any.
+ */
+PolicyHandler.prototype.deny = function(operation, key) {
+  if (typeof this.policy.audit === "function") {
+    this.policy.audit({ operation: operation, key: key });
+  }
+};
+/**
+ * Throws a TypeError if the policy restricts the property key in a way
+ * that the proxy invariants do not permit, given its descriptor on target.
+ */
+PolicyHandler.prototype.checkRestrictable = function(target, key, desc) {
+  if (desc === undefined) return;
+  var problem;
+  if (!this.allows("read", key)) {
+    if (!desc.configurable) {
+      problem = "cannot hide non-configurable property " + showKey(key);
+    } else if (!Reflect.isExtensible(target)) {
+      problem = "cannot hide property " + showKey(key) +
+                " of a non-extensible object";
+    }
+  } else if (!this.allows("enumerate", key) && desc.enumerable &&
+             !desc.configurable) {
+    problem = "cannot make non-configurable property " + showKey(key) +
+              " non-enumerable";
+  } else if (!this.allows("call", key) && typeof desc.value === "function" &&
+             !desc.configurable && !desc.writable) {
+    problem = "cannot restrict calls to non-configurable, non-writable " +
+              "property " + showKey(key);
+  }
+  if (problem !== undefined) {
+    throw new TypeError("PolicyHandler " + problem);
+  }
+};
+
+PolicyHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  var desc = Reflect.getOwnPropertyDescriptor(target, name);
+  if (desc === undefined) {
+    return undefined;
+  }
+  this.checkRestrictable(target, name, desc);
+  if (!this.allows("read", name)) {
+    this.deny("read", name);
+    return undefined;
+  }
+  if (desc.enumerable && !this.allows("enumerate", name)) {
+    desc.enumerable = false;
+  }
+  return desc;
+};
+PolicyHandler.prototype.ownKeys = function(target) {
+  return Reflect.ownKeys(target).filter(function(key) {
+    if (this.allows("read", key)) {
+      return true;
+    }
+    this.checkRestrictable(target, key,
+                           Reflect.getOwnPropertyDescriptor(target, key));
+    return false;
+  }, this);
+};
+PolicyHandler.prototype.defineProperty = function(target, name, desc) {
+  // set defines the property on the receiver, which is usually this proxy;
+  // that update was already checked against the "write" permission
+  if (this.assigning.indexOf(name) === -1 && !this.allows("define", name)) {
+    this.deny("define", name);
+    return false;
+  }
+  return Reflect.defineProperty(target, name, desc);
+};
+PolicyHandler.prototype.deleteProperty = function(target, name) {
+  if (!this.allows("delete", name)) {
+    this.deny("delete", name);
+    return false;
+  }
+  return Reflect.deleteProperty(target, name);
+};
+PolicyHandler.prototype.set = function(target, name, value, receiver) {
+  if (!this.allows("write", name)) {
+    this.deny("write", name);
+    return false;
+  }
+  this.assigning.push(name);
+  try {
+    return DelegatingHandler.prototype.set.call(this, target, name, value,
+                                                receiver);
+  } finally {
+    this.assigning.pop();
+  }
+};
+PolicyHandler.prototype.get = function(target, name, receiver) {
+  var value = DelegatingHandler.prototype.get.call(this, target, name,
+                                                   receiver);
+  if (typeof value !== "function" || this.allows("call", name)) {
+    return value;
+  }
+  this.checkRestrictable(target, name,
+                         Reflect.getOwnPropertyDescriptor(target, name));
+  var guard = this.guards.get(value);
+  if (guard === undefined) {
+    var handler = this;
+    guard = function() {
+      handler.deny("call", name);
+      throw new TypeError("PolicyHandler denied call to " + showKey(name));
+    };
+    this.guards.set(value, guard);
+  }
+  return guard;
+};
+
+// === DefaultingHandler ===
+
+/**
+ * A DefaultingHandler forwards to its target, but when client code reads a
+ * property that neither the target nor its prototype chain has, it asks a
+ * resolver for the value instead of returning undefined:
+ *
+ *   var finders = DefaultingHandler.proxyFor(repository, function(name) {
+ *     var m = /^findBy(\w+)$/.exec(name);
+ *     if (m) { return function(v) { return repository.find(m[1], v); }; }
+ *   }, { cache: true });
+ *   finders.findByName("x")
+ *
+ * The resolver is called as resolver(name, receiver), for symbols as well,
+ * and should return undefined for names it does not resolve (including
+ * e.g. "then" or "toJSON", which are probed by promises and JSON.stringify).
+ *
+ * Options:
+ *  - cache: if true, a resolved value other than undefined is defined as a
+ *    writable, enumerable, configurable data property on the target, so
+ *    the resolver is not called again for that name.
+ *  - own: if false (the default), members synthesized by the resolver are
+ *    only visible to property access: getOwnPropertyDescriptor, has, keys
+ *    and ownKeys report them as non-existent. If true, they are reported as
+ *    own, non-enumerable data properties by getOwnPropertyDescriptor.
+ *
+ * has never calls the resolver, so that testing "name" in proxy has no side
+ * effects: it only reports the properties of the target and its prototype
+ * chain (including cached ones). Since the resolver cannot list the names
+ * it resolves, keys and ownKeys never report synthesized members either.
+ *
+ * Members are never synthesized on a non-extensible target, since the
+ * proxy invariants forbid reporting properties that it lacks.
+ */
+function DefaultingHandler(resolver, options) {
+  DelegatingHandler.call(this);
+  if (typeof resolver !== "function") {
+    throw new TypeError("resolver must be a function, got: " + resolver);
+  }
+  options = options || {};
+  this.resolver = resolver;
+  this.cache = !!options.cache;
+  this.own = !!options.own;
+  this.proxy = undefined; // set by proxyFor
+}
+extend(DefaultingHandler, DelegatingHandler);
+
+DefaultingHandler[proxyFactory] = function(target, args, options) {
+  var handler = makeHandler(this, args, options);
+  var result = newProxy(target, handler, options);
+  handler.proxy = result.proxy;
+  return result;
+};
+
+// the DefaultingHandlers whose getOwnPropertyDescriptor trap is being called
+// to test whether a property exists, and so should not call the resolver
+var probingHandlers = new WeakSet();
+
+// calls handler.getOwnPropertyDescriptor without synthesizing members
+function probeOwnProperty(handler, target, name) {
+  if (probingHandlers.has(handler)) {
+    return handler.getOwnPropertyDescriptor(target, name);
+  }
+  probingHandlers.add(handler);
+  try {
+    return handler.getOwnPropertyDescriptor(target, name);
+  } finally {
+    probingHandlers.delete(handler);
+  }
+}
+
+/**
+ * Returns whether the resolver is responsible for name: the target is
+ * extensible, and neither this.getOwnPropertyDescriptor nor the prototype
+ * chain reports it.
+ */
+DefaultingHandler.prototype.isMissing = function(target, name) {
+  if (!Reflect.isExtensible(target) ||
+      probeOwnProperty(this, target, name) !== undefined) {
+    return false;
+  }
+  var proto = this.getPrototypeOf(target);
+  return proto === null || !Reflect.has(proto, name);
+};
+DefaultingHandler.prototype.resolve = function(target, name, receiver) {
+  var value = this.resolver.call(undefined, name, receiver);
+  if (value !== undefined && this.cache) {
+    this.defineProperty(target, name, { value: value,
+                                        writable: true,
+                                        enumerable: true,
+                                        configurable: true });
+  }
+  return value;
+};
+
+DefaultingHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  if (!this.own || probingHandlers.has(this) ||
+      !this.isMissing(target, name)) {
+    return Reflect.getOwnPropertyDescriptor(target, name);
+  }
+  var value = this.resolve(target, name, this.proxy);
+  if (value === undefined) {
+    return undefined;
+  }
+  var desc = Reflect.getOwnPropertyDescriptor(target, name);
+  if (desc !== undefined) { // cached
+    return desc;
+  }
+  return { value: value, writable: true,
+           enumerable: false, configurable: true };
+};
+DefaultingHandler.prototype.has = function(target, name) {
+  if (probeOwnProperty(this, target, name) !== undefined) {
+    return true;
+  }
+  var proto = this.getPrototypeOf(target);
+  return proto !== null && Reflect.has(proto, name);
+};
+DefaultingHandler.prototype.get = function(target, name, receiver) {
+  if (this.isMissing(target, name)) {
+    return this.resolve(target, name, receiver);
+  }
+  return DelegatingHandler.prototype.get.call(this, target, name, receiver);
+};
+
+// === ObservableHandler ===
+
+/**
+ * An ObservableHandler reports the changes made through a proxy as change
+ * records. Since assignments and method calls on the proxy end up calling
+ * its defineProperty trap, these are observed as well. A record has the
+ * following properties:
+ *
+ *  - type: "add", "update", "delete", "reconfigure" or "setPrototype"
+ *  - object: the observable proxy for the changed object
+ *  - path: the keys leading from the root to the changed property (or,
+ *    for setPrototype, to the changed object)
+ *  - name: the changed property key (absent for setPrototype)
+ *  - oldValue, newValue: the property's value (or the prototype) before
+ *    and after the change (undefined for accessors and absent properties)
+ *  - oldDescriptor, newDescriptor: only for reconfigure
+ *
+ * An update that does not change the value is not reported. Adding an
+ * element to an array also reports the update of its length. Changes made
+ * directly on the target are not observed.
+ *
+ * Nested objects are wrapped lazily: reading an own data property whose
+ * value is a non-function object returns an observable proxy for that
+ * object, whose path extends the path of its parent. All proxies wrapped
+ * from the same root share its listeners. Properties that are
+ * non-configurable and non-writable are returned unwrapped, as the proxy
+ * invariants require.
+ *
+ * Usage:
+ *   var state = ObservableHandler.proxyFor({ todos: [] });
+ *   ObservableHandler.observe(state, function(record) { ... });
+ *   state.todos.push("write docs"); // add ["todos", "0"]
+ *   ObservableHandler.observe(state.todos, function(records) { ... },
+ *                             { batched: true });
+ */
+function ObservableHandler(target, context, path) {
+  DelegatingHandler.call(this);
+  this.target = target;
+  this.context = context;
+  this.path = path;
+  this.view = undefined; // set by observableView
+  this.children = new Map(); // maps keys to the views of their values
+}
+extend(ObservableHandler, DelegatingHandler);
+
+// maps observable proxies to their handler
+var observableHandlers = new WeakMap();
+
+// revoking a view created by revocableProxyFor also revokes the views of
+// the nested objects obtained through it
+ObservableHandler[proxyFactory] = function(target, args, options) {
+  var context = viewContext(this, args, options);
+  context.listeners = [];
+  context.suspended = 0;
+  return rootView(context, observableView(context, target, []));
+};
+
+function observableView(context, target, path) {
+  var handler = makeHandler(context.Handler,
+                            [target, context, path].concat(context.args),
+                            context.options);
+  var view = createView(context, target, handler);
+  handler.view = view;
+  observableHandlers.set(view, handler);
+  return view;
+}
+
+function observableHandlerFor(view) {
+  var handler = observableHandlers.get(view);
+  if (handler === undefined) {
+    throw new TypeError("not a proxy created by ObservableHandler.proxyFor: " +
+                        String(view));
+  }
+  return handler;
+}
+
+/**
+ * Registers listener for the changes made through view, or through the
+ * proxies for objects nested in view. If options.batched is true, the
+ * records are delivered as an array in a microtask, otherwise each record
+ * is delivered synchronously.
+ */
+ObservableHandler.observe = function(view, listener, options) {
+  var handler = observableHandlerFor(view);
+  handler.context.listeners.push({
+    listener: listener,
+    path: handler.path,
+    batched: !!(options && options.batched),
+    queue: []
+  });
+};
+/**
+ * Unregisters listener from the root of view.
+ */
+ObservableHandler.unobserve = function(view, listener) {
+  var context = observableHandlerFor(view).context;
+  context.listeners = context.listeners.filter(function(entry) {
+    return entry.listener !== listener;
+  });
+};
+/**
+ * Discards the changes made through all proxies of the same root as view
+ * until a matching call to resume, e.g. during bulk updates. Calls can be
+ * nested.
+ */
+ObservableHandler.suspend = function(view) {
+  observableHandlerFor(view).context.suspended++;
+};
+ObservableHandler.resume = function(view) {
+  var context = observableHandlerFor(view).context;
+  if (context.suspended === 0) {
+    throw new TypeError("ObservableHandler.resume without suspend");
+  }
+  context.suspended--;
+};
+
+function isPathPrefix(prefix, path) {
+  return prefix.length <= path.length && prefix.every(function(key, i) {
+    return key === path[i];
+  });
+}
+
+/**
+ * Delivers a change record of the given type to the listeners of the root.
+ * A listener that throws does not keep the record from the other listeners:
+ * the first exception thrown by a synchronous listener is rethrown after
+ * all of them have been called. Batched records are dropped if their
+ * listener is unobserved before they are delivered.
+ */
+ObservableHandler.prototype.notify = function(type, name, oldValue, newValue,
+                                              extra) {
+  var context = this.context;
+  if (context.suspended > 0) { return; }
+  var record = { type: type, object: this.view };
+  if (type === "setPrototype") {
+    record.path = this.path.slice();
+  } else {
+    record.path = this.path.concat([name]);
+    record.name = name;
+  }
+  record.oldValue = oldValue;
+  record.newValue = newValue;
+  if (extra !== undefined) {
+    Object.keys(extra).forEach(function(key) { record[key] = extra[key]; });
+  }
+  var errors = [];
+  context.listeners.forEach(function(entry) {
+    if (!isPathPrefix(entry.path, record.path)) { return; }
+    if (!entry.batched) {
+      try {
+        entry.listener(record);
+      } catch (e) {
+        errors.push(e);
+      }
+      return;
+    }
+    entry.queue.push(record);
+    if (entry.queue.length === 1) {
+      Promise.resolve().then(function() {
+        var records = entry.queue;
+        entry.queue = [];
+        if (context.listeners.indexOf(entry) !== -1) {
+          entry.listener(records);
+        }
+      });
+    }
+  });
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+};
+
+function valueOf(desc) {
+  return desc !== undefined && isDataDescriptor(desc) ? desc.value : undefined;
+}
+function sameAttributes(desc1, desc2) {
+  return desc1.enumerable === desc2.enumerable &&
+         desc1.configurable === desc2.configurable &&
+         desc1.writable === desc2.writable &&
+         desc1.get === desc2.get &&
+         desc1.set === desc2.set;
+}
+
+ObservableHandler.prototype.defineProperty = function(target, name, desc) {
+  var oldDesc = Reflect.getOwnPropertyDescriptor(target, name);
+  if ("value" in desc && observableHandlers.has(desc.value)) {
+    // store the observed object, rather than its proxy
+    desc = wrapDescriptor(desc, function(value) {
+      return observableHandlers.get(value).target;
+    });
+  }
+  // defining an element of an array may implicitly update its length
+  var oldLength = Array.isArray(target) ? target.length : undefined;
+  var success = Reflect.defineProperty(target, name, desc);
+  if (!success) { return false; }
+  var newDesc = Reflect.getOwnPropertyDescriptor(target, name);
+  if (oldDesc === undefined) {
+    this.notify("add", name, undefined, valueOf(newDesc));
+  } else if (!sameAttributes(oldDesc, newDesc)) {
+    this.notify("reconfigure", name, valueOf(oldDesc), valueOf(newDesc),
+                { oldDescriptor: oldDesc, newDescriptor: newDesc });
+  } else if (!Object.is(valueOf(oldDesc), valueOf(newDesc))) {
+    this.notify("update", name, valueOf(oldDesc), valueOf(newDesc));
+  }
+  if (name !== "length" && oldLength !== undefined &&
+      target.length !== oldLength) {
+    this.notify("update", "length", oldLength, target.length);
+  }
+  return true;
+};
+ObservableHandler.prototype.deleteProperty = function(target, name) {
+  var oldDesc = Reflect.getOwnPropertyDescriptor(target, name);
+  var success = Reflect.deleteProperty(target, name);
+  if (success && oldDesc !== undefined) {
+    this.children.delete(name);
+    this.notify("delete", name, valueOf(oldDesc), undefined);
+  }
+  return success;
+};
+ObservableHandler.prototype.setPrototypeOf = function(target, proto) {
+  var oldProto = Reflect.getPrototypeOf(target);
+  var success = Reflect.setPrototypeOf(target, proto);
+  if (success && oldProto !== proto) {
+    this.notify("setPrototype", undefined, oldProto, proto);
+  }
+  return success;
+};
+ObservableHandler.prototype.get = function(target, name, receiver) {
+  var value = DelegatingHandler.prototype.get.call(this, target, name,
+                                                   receiver);
+  if (typeof value !== "object" || value === null ||
+      observableHandlers.has(value)) {
+    return value;
+  }
+  var desc = Reflect.getOwnPropertyDescriptor(target, name);
+  if (desc === undefined || desc.value !== value ||
+      (!desc.configurable && !desc.writable)) {
+    return value; // inherited, an accessor's result, or frozen
+  }
+  var child = this.children.get(name);
+  if (child === undefined || observableHandlers.get(child).target !== value) {
+    child = observableView(this.context, value, this.path.concat([name]));
+    this.children.set(name, child);
+  }
+  return child;
+};
+
+// === TransactionHandler ===
+
+/**
+ * A TransactionHandler lets code speculatively modify an object: the
+ * properties defined, assigned and deleted through the proxy, and its
+ * prototype, are recorded in a layer over the target, and the target is
+ * left alone until the changes are committed:
+ *
+ *   var draft = TransactionHandler.proxyFor(form);
+ *   draft.name = "new name";
+ *   delete draft.nickname;
+ *   TransactionHandler.diff(draft); // the pending changes
+ *   TransactionHandler.commit(draft); // or rollback(draft)
+ *
+ * Reads through the proxy see the target as modified by the layer:
+ * deleted properties are absent from has, Object.keys and for-in.
+ * The layer is shallow: objects stored in properties are not copied.
+ *
+ * Transactions nest by wrapping a transaction's proxy in another one:
+ * committing the inner transaction records its changes in the layer of
+ * the outer one.
+ *
+ * Changes that could not be rolled back without violating the proxy
+ * invariants fail: defining non-configurable properties (other than
+ * updating the value of an existing writable one), adding or deleting
+ * properties of a non-extensible target, and preventExtensions.
+ */
+function TransactionHandler() {
+  DelegatingHandler.call(this);
+  this.changes = new Map(); // maps keys to descriptors, or to undefined if deleted
+  this.proto = undefined; // { value: proto } if the prototype was changed
+}
+extend(TransactionHandler, DelegatingHandler);
+
+// maps proxies created by TransactionHandler.proxyFor (or the proxyFor of
+// its subclasses) to their handler and target
+var transactions = new WeakMap();
+
+TransactionHandler[proxyFactory] = function(target, args, options) {
+  var handler = makeHandler(this, args, options);
+  var result = newProxy(target, handler, options);
+  transactions.set(result.proxy, { handler: handler, target: target });
+  return result;
+};
+
+function transactionFor(proxy) {
+  var transaction = transactions.get(proxy);
+  if (transaction === undefined) {
+    throw new TypeError("not a proxy created by TransactionHandler.proxyFor: " +
+                        String(proxy));
+  }
+  return transaction;
+}
+
+/**
+ * Applies the pending changes of proxy to its target, in the order in
+ * which they were first made. Throws a TypeError if the target rejects a
+ * change, in which case that change and the ones after it remain pending.
+ */
+TransactionHandler.commit = function(proxy) {
+  var transaction = transactionFor(proxy);
+  transaction.handler.commit(transaction.target);
+};
+/**
+ * Discards the pending changes of proxy.
+ */
+TransactionHandler.rollback = function(proxy) {
+  transactionFor(proxy).handler.rollback();
+};
+/**
+ * Returns the pending changes of proxy, as an array of records like those
+ * of ObservableHandler: { type, name, oldValue, newValue }, where type is
+ * "add", "update", "delete", "reconfigure" or "setPrototype". Changes that
+ * were undone (e.g. a property set back to its original value) are not
+ * reported.
+ */
+TransactionHandler.diff = function(proxy) {
+  var transaction = transactionFor(proxy);
+  return transaction.handler.diff(transaction.target);
+};
+
+TransactionHandler.prototype.commit = function(target) {
+  var changes = this.changes;
+  changes.forEach(function(desc, name) {
+    var success = desc === undefined ? Reflect.deleteProperty(target, name) :
+                                       Reflect.defineProperty(target, name, desc);
+    if (!success) {
+      throw new TypeError("cannot commit " +
+        (desc === undefined ? "deletion" : "definition") +
+        " of property " + showKey(name));
+    }
+    changes.delete(name);
+  });
+  if (this.proto !== undefined) {
+    if (!Reflect.setPrototypeOf(target, this.proto.value)) {
+      throw new TypeError("cannot commit prototype change");
+    }
+    this.proto = undefined;
+  }
+};
+TransactionHandler.prototype.rollback = function() {
+  this.changes.clear();
+  this.proto = undefined;
+};
+TransactionHandler.prototype.diff = function(target) {
+  var records = [];
+  this.changes.forEach(function(desc, name) {
+    var oldDesc = Reflect.getOwnPropertyDescriptor(target, name);
+    var type;
+    if (desc === undefined) {
+      if (oldDesc === undefined) { return; }
+      type = "delete";
+    } else if (oldDesc === undefined) {
+      type = "add";
+    } else if (!sameAttributes(oldDesc, desc)) {
+      type = "reconfigure";
+    } else if (!Object.is(valueOf(oldDesc), valueOf(desc))) {
+      type = "update";
+    } else {
+      return;
+    }
+    records.push({ type: type, name: name,
+                   oldValue: valueOf(oldDesc), newValue: valueOf(desc) });
+  });
+  if (this.proto !== undefined &&
+      this.proto.value !== Reflect.getPrototypeOf(target)) {
+    records.push({ type: "setPrototype",
+                   oldValue: Reflect.getPrototypeOf(target),
+                   newValue: this.proto.value });
+  }
+  return records;
+};
+
+// ES2015 9.1.6.3 ValidateAndApplyPropertyDescriptor, steps 2 and 6-10:
+// returns the complete descriptor that results from applying desc to the
+// property with complete descriptor current (undefined if absent)
+function applyDescriptor(current, desc) {
+  if (current === undefined) {
+    return toCompletePropertyDescriptor(desc);
+  }
+  var result;
+  if (isGenericDescriptor(desc) ||
+      isDataDescriptor(current) === isDataDescriptor(desc)) {
+    result = Object.assign({}, current);
+  } else {
+    // converting between a data and an accessor property keeps only the
+    // configurable and enumerable attributes
+    result = { configurable: current.configurable,
+               enumerable: current.enumerable };
+  }
+  ["value", "writable", "get", "set", "enumerable", "configurable"].forEach(
+    function(attr) {
+      if (attr in desc) { result[attr] = desc[attr]; }
+    });
+  return toCompletePropertyDescriptor(result);
+}
+
+TransactionHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  if (this.changes.has(name)) {
+    var desc = this.changes.get(name);
+    return desc === undefined ? undefined : Object.assign({}, desc);
+  }
+  return Reflect.getOwnPropertyDescriptor(target, name);
+};
+TransactionHandler.prototype.ownKeys = function(target) {
+  var changes = this.changes;
+  var keys = Reflect.ownKeys(target).filter(function(key) {
+    return !changes.has(key) || changes.get(key) !== undefined;
+  });
+  changes.forEach(function(desc, key) {
+    if (desc !== undefined && keys.indexOf(key) === -1) {
+      keys.push(key);
+    }
+  });
+  return orderKeys(keys);
+};
+TransactionHandler.prototype.defineProperty = function(target, name, desc) {
+  var current = this.getOwnPropertyDescriptor(target, name);
+  var targetDesc = Reflect.getOwnPropertyDescriptor(target, name);
+  var extensible = Reflect.isExtensible(target);
+  if (!isCompatibleDescriptor(extensible, desc, current) ||
+      (targetDesc === undefined && !extensible)) {
+    return false;
+  }
+  var result = applyDescriptor(current, desc);
+  if (!result.configurable) {
+    // only the value of a writable non-configurable property of the
+    // target may change, as the layer can still be dropped
+    if (targetDesc === undefined || targetDesc.configurable ||
+        !isCompatibleDescriptor(false, result, targetDesc) ||
+        result.writable !== targetDesc.writable) {
+      return false;
+    }
+  }
+  this.changes.set(name, result);
+  return true;
+};
+TransactionHandler.prototype.deleteProperty = function(target, name) {
+  var current = this.getOwnPropertyDescriptor(target, name);
+  if (current === undefined) { return true; }
+  if (!current.configurable) { return false; }
+  if (Reflect.getOwnPropertyDescriptor(target, name) === undefined) {
+    this.changes.delete(name);
+    return true;
+  }
+  if (!Reflect.isExtensible(target)) { return false; }
+  this.changes.set(name, undefined);
+  return true;
+};
+TransactionHandler.prototype.getPrototypeOf = function(target) {
+  return this.proto !== undefined ? this.proto.value :
+                                    Reflect.getPrototypeOf(target);
+};
+TransactionHandler.prototype.setPrototypeOf = function(target, proto) {
+  if (!Reflect.isExtensible(target)) {
+    return proto === this.getPrototypeOf(target);
+  }
+  // like OrdinarySetPrototypeOf, refuse to create a cycle
+  for (var p = proto; p !== null; p = Reflect.getPrototypeOf(p)) {
+    if (p === target) { return false; }
+  }
+  this.proto = { value: proto };
+  return true;
+};
+TransactionHandler.prototype.preventExtensions = function(target) {
+  return false;
+};
+
+// === SchemaHandler ===
+
+/**
+ * A SchemaHandler checks the properties defined through the proxy, and
+ * therefore also assignments, against a schema:
+ *
+ *   var user = SchemaHandler.proxyFor({ name: "x", role: "user" }, {
+ *     strict: true,
+ *     properties: {
+ *       id:      { type: "number", readonly: true },
+ *       name:    { type: "string", required: true,
+ *                  check: function(s) { return s.length > 0; } },
+ *       role:    { enum: ["user", "admin"] },
+ *       address: { properties: { zip: "string" } }
+ *     }
+ *   });
+ *   user.name = 42; // throws SchemaError, with path ["name"]
+ *
+ * A property spec is either a type name, or an object with:
+ *
+ *  - type: one of "string", "number", "boolean", "bigint", "symbol",
+ *    "function", "object", "array" or "any" (the default, or "object" if
+ *    properties is given)
+ *  - nullable: whether null is allowed as well
+ *  - enum: an array of the allowed values
+ *  - properties: the specs of the properties of an object value
+ *  - required: the property must be present (and cannot be deleted)
+ *  - readonly: once present, the property cannot be changed or deleted.
+ *    Like a non-writable property, it accepts writes of its current value.
+ *  - check: a predicate on the value, which returns false or a message
+ *    to reject it
+ *  - strict: whether properties without a spec are rejected, defaults to
+ *    the strict flag of the enclosing spec
+ *
+ * The schema itself is a spec for the target object, which is validated
+ * when the proxy is created. If schema.coerce is true, values of the
+ * wrong type are converted instead of rejected where possible (e.g. "42"
+ * to 42 for a number).
+ *
+ * Object values with a nested schema are wrapped lazily, so that updates
+ * to nested objects are checked as well. Violations throw a SchemaError.
+ */
+function SchemaHandler(schema, context, path, strict) {
+  DelegatingHandler.call(this);
+  this.schema = propertySpec(schema);
+  this.context = context;
+  this.path = path || [];
+  this.strict = this.schema.strict !== undefined ? !!this.schema.strict :
+                !!strict;
+  this.children = new Map(); // maps keys to the views of their values
+}
+extend(SchemaHandler, DelegatingHandler);
+
+/**
+ * The error thrown for schema violations. path is the array of keys
+ * leading from the root to the offending property, and reason is one of
+ * "type", "enum", "check", "required", "readonly", "unknown" or
+ * "accessor".
+ */
+function SchemaError(reason, path, value, message) {
+  this.message = "invalid property '" + path.map(String).join(".") + "': " +
+                 message;
+  this.reason = reason;
+  this.path = path;
+  this.value = value;
+  if (typeof Error.captureStackTrace === "function") {
+    Error.captureStackTrace(this, SchemaError);
+  }
+}
+extend(SchemaError, TypeError);
+SchemaError.prototype.name = "SchemaError";
+
+// maps views created by SchemaHandler to their target
+var schemaViews = new WeakMap();
+
+// validates target against the schema, the first of args. Revoking a view
+// created by revocableProxyFor also revokes the views of the nested objects
+// obtained through it.
+SchemaHandler[proxyFactory] = function(target, args, options) {
+  var schema = args[0];
+  var context = viewContext(this, args.slice(1), options);
+  context.coerce = !!schema.coerce;
+  var spec = propertySpec(schema);
+  validateProperties(spec, target, [], !!spec.strict, context.coerce);
+  return rootView(context, schemaView(context, target, spec, [], false));
+};
+
+function schemaView(context, target, spec, path, strict) {
+  var handler = makeHandler(context.Handler,
+                            [spec, context, path, strict].concat(context.args),
+                            context.options);
+  var view = createView(context, target, handler);
+  schemaViews.set(view, target);
+  return view;
+}
+
+function propertySpec(spec) {
+  return typeof spec === "string" ? { type: spec } : spec;
+}
+
+function describeType(value) {
+  if (value === null) { return "null"; }
+  if (Array.isArray(value)) { return "array"; }
+  return typeof value;
+}
+
+var schemaTypes = {
+  any: function(value) { return true; },
+  object: function(value) { return typeof value === "object" && value !== null; },
+  array: function(value) { return Array.isArray(value); }
+};
+["string", "number", "boolean", "bigint", "symbol", "function"].forEach(
+  function(type) {
+    schemaTypes[type] = function(value) { return typeof value === type; };
+  });
+
+// each coercion returns undefined if value cannot be converted
+var schemaCoercions = {
+  string: function(value) {
+    var type = typeof value;
+    if (type === "number" || type === "boolean" || type === "bigint") {
+      return String(value);
+    }
+  },
+  number: function(value) {
+    if (typeof value === "string" && value.trim() !== "" &&
+        !isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (typeof value === "boolean") { return Number(value); }
+  },
+  boolean: function(value) {
+    if (value === "true" || value === 1) { return true; }
+    if (value === "false" || value === 0) { return false; }
+  },
+  bigint: function(value) {
+    if ((typeof value === "number" && Number.isInteger(value)) ||
+        (typeof value === "string" && /^-?\d+$/.test(value))) {
+      return BigInt(value);
+    }
+  }
+};
+
+/**
+ * Returns value, converted if coerce is true, if it satisfies spec.
+ * Otherwise throws a SchemaError. Object values are validated deeply.
+ */
+function validateValue(spec, value, path, strict, coerce) {
+  if (value === undefined && !spec.required) { return value; }
+  if (value === null && spec.nullable) { return value; }
+  var type = spec.type || (spec.properties ? "object" : "any");
+  if (!Object.prototype.hasOwnProperty.call(schemaTypes, type)) {
+    throw new TypeError("unknown schema type: " + type);
+  }
+  if (!schemaTypes[type](value)) {
+    var coerced = coerce && schemaCoercions[type] ?
+                  schemaCoercions[type](value) : undefined;
+    if (coerced === undefined) {
+      throw new SchemaError("type", path, value,
+                            "expected " + type + ", got " + describeType(value));
+    }
+    value = coerced;
+  }
+  if (spec.enum && !spec.enum.some(function(e) { return Object.is(e, value); })) {
+    throw new SchemaError("enum", path, value, "expected one of " +
+                          spec.enum.map(String).join(", ") + ", got " +
+                          String(value));
+  }
+  if (spec.properties) {
+    validateProperties(spec, value, path,
+                       spec.strict !== undefined ? !!spec.strict : strict,
+                       coerce);
+  }
+  if (spec.check) {
+    var result = spec.check(value);
+    if (typeof result === "string" || !result) {
+      throw new SchemaError("check", path, value,
+        typeof result === "string" ? result : "failed check");
+    }
+  }
+  return value;
+}
+
+// validates the own properties of obj against spec.properties, writing
+// back converted values if coerce is true
+function validateProperties(spec, obj, path, strict, coerce) {
+  var properties = spec.properties || {};
+  Reflect.ownKeys(obj).forEach(function(key) {
+    var propertyPath = path.concat([key]);
+    if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+      if (strict) {
+        throw new SchemaError("unknown", propertyPath, obj[key],
+                              "unknown property");
+      }
+      return;
+    }
+    var desc = Reflect.getOwnPropertyDescriptor(obj, key);
+    if (isAccessorDescriptor(desc)) {
+      throw new SchemaError("accessor", propertyPath, undefined,
+                            "cannot be an accessor");
+    }
+    var value = validateValue(propertySpec(properties[key]), desc.value,
+                              propertyPath, strict, coerce);
+    if (!Object.is(value, desc.value)) {
+      obj[key] = value;
+    }
+  });
+  Reflect.ownKeys(properties).forEach(function(key) {
+    if (propertySpec(properties[key]).required &&
+        !Object.prototype.hasOwnProperty.call(obj, key)) {
+      throw new SchemaError("required", path.concat([key]), undefined,
+                            "property is required");
+    }
+  });
+}
+
+/**
+ * Returns the spec of the property name, or undefined if it has none.
+ */
+SchemaHandler.prototype.specFor = function(name) {
+  var properties = this.schema.properties;
+  if (properties && Object.prototype.hasOwnProperty.call(properties, name)) {
+    return propertySpec(properties[name]);
+  }
+  return undefined;
+};
+
+SchemaHandler.prototype.defineProperty = function(target, name, desc) {
+  var path = this.path.concat([name]);
+  var spec = this.specFor(name);
+  if (spec === undefined) {
+    if (this.strict) {
+      throw new SchemaError("unknown", path, desc.value, "unknown property");
+    }
+    return Reflect.defineProperty(target, name, desc);
+  }
+  if (spec.readonly) {
+    var current = Reflect.getOwnPropertyDescriptor(target, name);
+    if (current !== undefined && !isUnchanged(desc, current)) {
+      throw new SchemaError("readonly", path, desc.value,
+                            "property is read-only");
+    }
+  }
+  if (isAccessorDescriptor(desc)) {
+    throw new SchemaError("accessor", path, undefined,
+                          "cannot be an accessor");
+  }
+  if ("value" in desc) {
+    // store the validated object, rather than its view
+    var value = schemaViews.has(desc.value) ? schemaViews.get(desc.value) :
+                                              desc.value;
+    value = validateValue(spec, value, path, this.strict, this.context.coerce);
+    if (value !== desc.value) {
+      desc = Object.assign({}, desc, { value: value });
+    }
+  }
+  return Reflect.defineProperty(target, name, desc);
+};
+// whether defining desc leaves the property current as it is, e.g. when
+// assigning its current value
+function isUnchanged(desc, current) {
+  if (isAccessorDescriptor(desc) || isAccessorDescriptor(current)) {
+    return false;
+  }
+  if ("value" in desc) {
+    var value = schemaViews.has(desc.value) ? schemaViews.get(desc.value) :
+                                              desc.value;
+    if (!Object.is(value, current.value)) {
+      return false;
+    }
+  }
+  return ["writable", "enumerable", "configurable"].every(function(attr) {
+    return !(attr in desc) || desc[attr] === current[attr];
+  });
+}
+
+SchemaHandler.prototype.deleteProperty = function(target, name) {
+  var spec = this.specFor(name);
+  if (spec !== undefined && Reflect.getOwnPropertyDescriptor(target, name)) {
+    var path = this.path.concat([name]);
+    if (spec.required) {
+      throw new SchemaError("required", path, undefined,
+                            "property is required");
+    }
+    if (spec.readonly) {
+      throw new SchemaError("readonly", path, undefined,
+                            "property is read-only");
+    }
+  }
+  return Reflect.deleteProperty(target, name);
+};
+SchemaHandler.prototype.get = function(target, name, receiver) {
+  var value = DelegatingHandler.prototype.get.call(this, target, name,
+                                                   receiver);
+  var spec = this.specFor(name);
+  if (spec === undefined || !spec.properties ||
+      Object(value) !== value || schemaViews.has(value)) {
+    return value;
+  }
+  var desc = Reflect.getOwnPropertyDescriptor(target, name);
+  if (desc === undefined || desc.value !== value ||
+      (!desc.configurable && !desc.writable)) {
+    return value; // inherited, an accessor's result, or frozen
+  }
+  var child = this.children.get(name);
+  if (child === undefined || schemaViews.get(child) !== value) {
+    child = schemaView(this.context, value, spec, this.path.concat([name]),
+                       this.strict);
+    this.children.set(name, child);
+  }
+  return child;
+};
+
+// === TracingHandler ===
+
+/**
+ * A TracingHandler records each trap invocation of another handler as a
+ * structured entry, e.g.:
+ *
+ *   { trap: "defineProperty", key: "foo", args: ["foo", {value: 42}],
+ *     depth: 1, timestamp: 1380000000000, result: true }
+ *
+ * args are the trap arguments following the target. If the trap throws,
+ * the entry has an "error" instead of a "result". depth is 0 for traps that
+ * the engine calls on behalf of client code, and increases for the traps
+ * that these in turn call (e.g. set → defineProperty). Entries are
+ * recorded when the trap returns, so the entries of nested traps come
+ * before the entry of the trap that called them.
+ *
+ * Entries are passed to a sink, which is either a function or an object
+ * with a record(entry) method, such as a TraceLog.
+ *
+ * Usage:
+ *   var log = new TraceLog();
+ *   var p = TracingHandler.proxyFor(target, log, new ForwardingHandler());
+ *   ...
+ *   JSON.stringify(log);
+ *   log.replay(freshTarget);
+ *
+ * The traced handler defaults to the TracingHandler itself, which is a
+ * DelegatingHandler whose traps subclasses may override. The traced handler
+ * is interposed on by the proxy factories, so that its traps still see its
+ * own state on |this|.
+ */
+function TracingHandler(sink, handler) {
+  DelegatingHandler.call(this);
+  this.sink = sink;
+  this.handler = handler;
+}
+extend(TracingHandler, DelegatingHandler);
+
+TracingHandler[proxyFactory] = function(target, args, options) {
+  var handler = adaptHandler(traceHandler(Reflect.construct(this, args)),
+                             this, options);
+  return newProxy(target, handler, options);
+};
+
+/**
+ * Passes entry to the sink. Subclasses may override this method to filter
+ * or annotate the entries.
+ */
+TracingHandler.prototype.record = function(entry) {
+  if (typeof this.sink === "function") {
+    this.sink(entry);
+  } else {
+    this.sink.record(entry);
+  }
+};
+
+// interposes on the handler traced by tracer, to record its traps
+function traceHandler(tracer) {
+  var depth = 0;
+  var handler = tracer.handler === undefined ? tracer : tracer.handler;
+  return interposeHandler(handler, function(name, trap, traced) {
+    return function(target /*,...args*/) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      var entry = { trap: name };
+      if (keyedTraps[name]) {
+        entry.key = args[0];
+      }
+      entry.args = args;
+      entry.depth = depth;
+      entry.timestamp = Date.now();
+      depth++;
+      try {
+        entry.result = trap.apply(traced, arguments);
+        return entry.result;
+      } catch (e) {
+        entry.error = e;
+        throw e;
+      } finally {
+        depth--;
+        tracer.record(entry);
+      }
+    };
+  });
+}
+
+/**
+ * A sink for TracingHandler that stores the entries in this.entries.
+ */
+function TraceLog() {
+  this.entries = [];
+}
+TraceLog.prototype.record = function(entry) {
+  this.entries.push(entry);
+};
+TraceLog.prototype.clear = function() {
+  this.entries = [];
+};
+/**
+ * Returns the entries in a form that JSON.stringify can serialize.
+ * See encodeTraceValue for how values that JSON cannot represent are
+ * encoded. The receiver of get and set, and the newTarget of construct,
+ * are not serialized (they are usually the proxy itself).
+ */
+TraceLog.prototype.toJSON = function() {
+  var symbols = new Map();
+  function encode(value) {
+    return encodeTraceValue(value, [], symbols);
+  }
+  return this.entries.map(function(entry) {
+    var args = entry.args.slice();
+    var receiverIndex = replayedReceivers[entry.trap];
+    if (receiverIndex !== undefined && receiverIndex < args.length) {
+      args[receiverIndex] = { $receiver: true };
+    }
+    var json = { trap: entry.trap };
+    if ('key' in entry) { json.key = encode(entry.key); }
+    json.args = encode(args);
+    json.depth = entry.depth;
+    json.timestamp = entry.timestamp;
+    if ('error' in entry) {
+      json.error = encode(entry.error);
+    } else {
+      json.result = encode(entry.result);
+    }
+    return json;
+  });
+};
+/**
+ * Returns a TraceLog with the entries of a log serialized by toJSON,
+ * given as a JSON string or as the parsed array. Called on a subclass of
+ * TraceLog, returns an instance of that subclass.
+ */
+TraceLog.fromJSON = function(json) {
+  var entries = typeof json === "string" ? JSON.parse(json) : json;
+  var log = Reflect.construct(this, []);
+  var symbols = new Map();
+  function decode(json) {
+    return decodeTraceValue(json, symbols);
+  }
+  log.entries = entries.map(function(json) {
+    var entry = { trap: json.trap };
+    if ('key' in json) { entry.key = decode(json.key); }
+    entry.args = decode(json.args);
+    entry.depth = json.depth;
+    entry.timestamp = json.timestamp;
+    if ('error' in json) {
+      entry.error = decode(json.error);
+    } else {
+      entry.result = decode(json.result);
+    }
+    return entry;
+  });
+  return log;
+};
+/**
+ * Performs the operations of the outermost (depth 0) entries again, in
+ * order, directly on target. The receiver of get and set and the newTarget
+ * of construct are replaced by target. Returns an array with an outcome
+ * for each replayed entry: { trap, key, result } or { trap, key, error }.
+ */
+TraceLog.prototype.replay = function(target) {
+  return this.entries.filter(function(entry) {
+    return entry.depth === 0;
+  }).map(function(entry) {
+    var args = entry.args.slice();
+    var receiverIndex = replayedReceivers[entry.trap];
+    if (receiverIndex !== undefined) {
+      args[receiverIndex] = target;
+    }
+    var outcome = { trap: entry.trap };
+    if ('key' in entry) { outcome.key = entry.key; }
+    try {
+      outcome.result = Reflect[entry.trap].apply(undefined,
+                                                 [target].concat(args));
+    } catch (e) {
+      outcome.error = e;
+    }
+    return outcome;
+  });
+};
+
+// the index of the receiver (or newTarget) in the arguments of the traps
+// that have one
+var replayedReceivers = { get: 1, set: 2, construct: 1 };
+
+/**
+ * Encodes value as JSON data. Values that JSON cannot represent are
+ * encoded as objects with a single "$"-prefixed property:
+ *  - undefined as {$undefined: true}
+ *  - NaN and infinities as {$number: "NaN"}, etc.
+ *  - symbols as {$symbol: "@@iterator"} for well-known symbols,
+ *    {$symbol: description} for other symbols with a description, or
+ *    {$symbol: null, id: n} for symbols without one, where n numbers
+ *    these symbols in the order in which they are first encoded
+ *  - functions as {$function: name}
+ *  - errors as {$error: {name: ..., message: ...}}
+ *  - other objects as {$object: {...}} with their own enumerable
+ *    string-keyed properties, and cyclic references as {$cycle: true}
+ * symbols maps the symbols without a description encoded so far to their id.
+ */
+function encodeTraceValue(value, seen, symbols) {
+  switch (typeof value) {
+    case "undefined":
+      return { $undefined: true };
+    case "number":
+      return isFinite(value) ? value : { $number: String(value) };
+    case "symbol":
+      var wellKnown = Object.getOwnPropertyNames(Symbol).filter(function(n) {
+        return Symbol[n] === value;
+      });
+      if (wellKnown.length > 0) { return { $symbol: "@@" + wellKnown[0] }; }
+      if (value.description !== undefined) {
+        return { $symbol: value.description };
+      }
+      if (!symbols.has(value)) { symbols.set(value, symbols.size); }
+      return { $symbol: null, id: symbols.get(value) };
+    case "function":
+      return { $function: value.name };
+    case "object":
+      if (value === null) { return null; }
+      if (seen.indexOf(value) !== -1) { return { $cycle: true }; }
+      seen = seen.concat([value]);
+      if (value instanceof Error) {
+        return { $error: { name: value.name, message: value.message } };
+      }
+      if (Array.isArray(value)) {
+        return value.map(function(v) {
+          return encodeTraceValue(v, seen, symbols);
+        });
+      }
+      var props = {};
+      Object.keys(value).forEach(function(name) {
+        props[name] = encodeTraceValue(value[name], seen, symbols);
+      });
+      return { $object: props };
+    default:
+      return value;
+  }
+}
+
+/**
+ * Inverse of encodeTraceValue. Decoded symbols with a description that are
+ * not well-known are registered symbols (Symbol.for(description)), symbols
+ * without a description decode as new symbols, one per id, recorded in
+ * symbols. Decoded functions throw when called, and cyclic references
+ * decode as empty objects.
+ */
+function decodeTraceValue(json, symbols) {
+  if (Array.isArray(json)) {
+    return json.map(function(v) { return decodeTraceValue(v, symbols); });
+  }
+  if (json === null || typeof json !== "object") {
+    return json;
+  }
+  if ('$undefined' in json) { return undefined; }
+  if ('$number' in json) { return Number(json.$number); }
+  if ('$symbol' in json) {
+    var name = json.$symbol;
+    if (name === null) {
+      if (!symbols.has(json.id)) { symbols.set(json.id, Symbol()); }
+      return symbols.get(json.id);
+    }
+    return name.indexOf("@@") === 0 ? Symbol[name.slice(2)] : Symbol.for(name);
+  }
+  if ('$function' in json) {
+    var fname = json.$function;
+    return function() {
+      throw new TypeError("cannot call function " + fname +
+                          " decoded from a trace");
+    };
+  }
+  if ('$error' in json) {
+    var error = new Error(json.$error.message);
+    error.name = json.$error.name;
+    return error;
+  }
+  if ('$object' in json) {
+    var obj = {};
+    Object.keys(json.$object).forEach(function(name) {
+      obj[name] = decodeTraceValue(json.$object[name], symbols);
+    });
+    return obj;
+  }
+  return {}; // $cycle or $receiver
+}
+
+// === RemoteHandler ===
+
+/**
+ * A RemoteConnection connects two object graphs through a MessagePort-like
+ * channel, typically in different threads. Each side creates a connection
+ * on its end of the channel, and may export a root object:
+ *
+ *   // in the main thread
+ *   var channel = new MessageChannel();
+ *   var worker = new Worker(file, { workerData: channel.port2,
+ *                                   transferList: [channel.port2] });
+ *   var connection = new RemoteConnection(channel.port1);
+ *   // in the worker
+ *   new RemoteConnection(workerData, api);
+ *   // in the main thread
+ *   var api = connection.root();
+ *   api.counter.increment(); // synchronous
+ *   connection.eventual(api.counter).increment().then(...); // eventual
+ *
+ * Objects, functions and unregistered symbols are passed by reference:
+ * the receiving side gets a proxy (or symbol) that stands for the original,
+ * which it gets back when it passes the proxy back. Primitives are copied.
+ * Each side keeps a table of the references it has exported and imported,
+ * for the lifetime of the connection. Exceptions thrown by the remote side
+ * are copied (their name and message) if they are Errors, and passed by
+ * reference otherwise.
+ *
+ * Proxies for remote objects are created by RemoteHandler.proxyFor (or
+ * options.Handler.proxyFor). Each trap of a RemoteHandler, including the
+ * derived traps get, set, has and construct, sends a single request to the
+ * remote side, where the connection executes it against the real object
+ * (see dispatch) and returns the result.
+ *
+ * Synchronous requests block until the response arrives, meanwhile
+ * executing requests from the remote side (e.g. calls to functions passed
+ * along as arguments). Blocking uses two functions, which can be
+ * overridden in options:
+ *
+ *  - receive(port): returns the next message queued on port, or undefined.
+ *    Defaults to worker_threads.receiveMessageOnPort (node.js only), which
+ *    requires port to be a MessagePort (not e.g. a Worker).
+ *  - wait(signal, seen, timeout): blocks until a new message may have
+ *    arrived, or for at most timeout milliseconds (undefined if there is no
+ *    timeout). Defaults to Atomics.wait(signal, 0, seen, timeout): the
+ *    remote side increments the shared signal whenever it posts a message.
+ *
+ * With options.timeout, a request that gets no response within that many
+ * milliseconds fails with an Error, so that a dead remote side cannot block
+ * the thread forever. When either side closes the connection, its pending
+ * requests fail as well.
+ *
+ * The default wait deadlocks if both ends live in the same thread. When
+ * testing with a MessageChannel in a single thread, let wait execute the
+ * messages queued on the other end instead:
+ *
+ *   var channel = new MessageChannel();
+ *   var server, client;
+ *   server = new RemoteConnection(channel.port1, api,
+ *                                 { wait: function() { client.drain(); } });
+ *   client = new RemoteConnection(channel.port2, undefined,
+ *                                 { wait: function() { server.drain(); } });
+ *
+ * Eventual requests (send, eventual, rootAsync) return a promise instead
+ * and need neither receive nor wait.
+ */
+function RemoteConnection(port, root, options) {
+  options = options || {};
+  this.port = port;
+  this.Handler = options.Handler || RemoteHandler;
+  this.receive = options.receive || receiveMessageOnPort;
+  this.wait = options.wait || waitForSignal;
+  this.timeout = options.timeout;
+  this.closed = false;
+  this.signal = typeof SharedArrayBuffer === "function" ?
+    new Int32Array(new SharedArrayBuffer(4)) : undefined;
+  this.peerSignal = undefined;
+  this.lastRequest = 0;
+  this.pending = new Map(); // maps request ids to { settle: function }
+  this.exports = new Map(); // maps export ids to local values
+  this.exportIds = new Map(); // maps local values to export ids
+  this.nextExportId = 1; // export id 0 is the root
+  this.imports = new Map(); // maps import ids to proxies or symbols
+  this.importIds = new Map(); // maps proxies or symbols to import ids
+  if (root !== undefined) {
+    this.exports.set(0, root);
+    this.exportIds.set(root, 0);
+  }
+  var connection = this;
+  var listener = function(message) { connection.handleMessage(message); };
+  if (typeof port.on === "function") {
+    port.on("message", listener);
+    port.on("close", function() {
+      connection.shutDown("connection closed");
+    });
+  } else {
+    port.onmessage = function(event) { listener(event.data); };
+  }
+}
+
+function receiveMessageOnPort(port) {
+  if (typeof require !== "function") {
+    throw new TypeError("synchronous remote requests require " +
+                        "options.receive outside of node.js");
+  }
+  var received = require("worker_threads").receiveMessageOnPort(port);
+  return received === undefined ? undefined : received.message;
+}
+
+function waitForSignal(signal, seen, timeout) {
+  if (signal === undefined) {
+    throw new TypeError("synchronous remote requests require " +
+                        "SharedArrayBuffer or options.wait");
+  }
+  Atomics.wait(signal, 0, seen, timeout);
+}
+
+// for each operation that can be requested: the kinds of its arguments
+// following the target, and the kind of its result
+var remoteSignatures = {
+  root:                     [[], "value"],
+  getOwnPropertyDescriptor: [["value"], "descriptor"],
+  ownKeys:                  [[], "list"],
+  getPrototypeOf:           [[], "value"],
+  setPrototypeOf:           [["value"], "value"],
+  defineProperty:           [["value", "descriptor"], "value"],
+  deleteProperty:           [["value"], "value"],
+  preventExtensions:        [[], "value"],
+  isExtensible:             [[], "value"],
+  apply:                    [["value", "list"], "value"],
+  has:                      [["value"], "value"],
+  get:                      [["value", "value"], "value"],
+  set:                      [["value", "value", "value"], "value"],
+  construct:                [["list", "value"], "value"],
+  invoke:                   [["value", "list"], "value"]
+};
+
+var wellKnownSymbols = new Map();
+Object.getOwnPropertyNames(Symbol).forEach(function(name) {
+  if (typeof Symbol[name] === "symbol") {
+    wellKnownSymbols.set(Symbol[name], name);
+  }
+});
+
+var remoteErrors = {
+  Error: Error, EvalError: EvalError, RangeError: RangeError,
+  ReferenceError: ReferenceError, SyntaxError: SyntaxError,
+  TypeError: TypeError, URIError: URIError
+};
+
+/**
+ * Encodes value for the other side: primitives are copied, other values
+ * are passed by reference.
+ */
+RemoteConnection.prototype.encode = function(value) {
+  if (typeof value === "symbol") {
+    var key = Symbol.keyFor(value);
+    if (key !== undefined) { return { registered: key }; }
+    if (wellKnownSymbols.has(value)) {
+      return { wellKnown: wellKnownSymbols.get(value) };
+    }
+  } else if (Object(value) !== value) {
+    return value;
+  }
+  var id = this.importIds.get(value);
+  if (id !== undefined) {
+    return { back: id };
+  }
+  id = this.exportIds.get(value);
+  if (id === undefined) {
+    id = this.nextExportId++;
+    this.exports.set(id, value);
+    this.exportIds.set(value, id);
+  }
+  var kind = typeof value === "symbol" ? "symbol" :
+             typeof value === "function" ? "function" :
+             Array.isArray(value) ? "array" : "object";
+  var encoded = { ref: id, kind: kind };
+  if (kind === "symbol") { encoded.description = value.description; }
+  return encoded;
+};
+/**
+ * Decodes a value encoded by the other side.
+ */
+RemoteConnection.prototype.decode = function(encoded) {
+  if (Object(encoded) !== encoded) {
+    return encoded;
+  }
+  if ("registered" in encoded) {
+    return Symbol.for(encoded.registered);
+  }
+  if ("wellKnown" in encoded) {
+    return Symbol[encoded.wellKnown];
+  }
+  if ("back" in encoded) {
+    if (!this.exports.has(encoded.back)) {
+      throw new TypeError("unknown remote reference: " + encoded.back);
+    }
+    return this.exports.get(encoded.back);
+  }
+  var imported = this.imports.get(encoded.ref);
+  if (imported === undefined) {
+    if (encoded.kind === "symbol") {
+      imported = Symbol(encoded.description);
+    } else {
+      var shadow = encoded.kind === "function" ? function() {}.bind(null) :
+                   encoded.kind === "array" ? [] : {};
+      imported = this.Handler.proxyFor(shadow, this, encoded.ref);
+    }
+    this.imports.set(encoded.ref, imported);
+    this.importIds.set(imported, encoded.ref);
+  }
+  return imported;
+};
+
+function mapRemoteValue(kind, value, code) {
+  if (kind === "list") { return Array.prototype.map.call(value, code); }
+  if (kind === "descriptor") { return wrapDescriptor(value, code); }
+  return code(value);
+}
+function mapRemoteArgs(kinds, args, code) {
+  return kinds.map(function(kind, i) {
+    return mapRemoteValue(kind, args[i], code);
+  });
+}
+
+/**
+ * Posts message, and signals the other side if it may be blocked waiting
+ * for it.
+ */
+RemoteConnection.prototype.post = function(message) {
+  this.port.postMessage(message);
+  if (this.peerSignal !== undefined) {
+    Atomics.add(this.peerSignal, 0, 1);
+    Atomics.notify(this.peerSignal, 0);
+  }
+};
+RemoteConnection.prototype.handleMessage = function(message) {
+  if ("request" in message) {
+    if (message.signal !== undefined) {
+      this.peerSignal = message.signal;
+    }
+    this.dispatch(message);
+  } else if ("response" in message) {
+    var pending = this.pending.get(message.response);
+    if (pending !== undefined) {
+      this.pending.delete(message.response);
+      pending.settle(message);
+    }
+  } else if ("closed" in message) {
+    this.shutDown("connection closed by the remote side");
+  }
+};
+/**
+ * Executes all messages queued on this connection's port, if any.
+ */
+RemoteConnection.prototype.drain = function() {
+  var message;
+  while ((message = this.receive(this.port)) !== undefined) {
+    this.handleMessage(message);
+  }
+};
+/**
+ * The dispatcher: executes a request from the other side against the
+ * local object it targets, and posts the response.
+ */
+RemoteConnection.prototype.dispatch = function(request) {
+  var response = { response: request.request };
+  try {
+    var signature = remoteSignatures[request.op];
+    if (signature === undefined) {
+      throw new TypeError("unknown remote operation: " + request.op);
+    }
+    var args = mapRemoteArgs(signature[0], request.args,
+                             this.decode.bind(this));
+    var result;
+    if (request.op === "root") {
+      if (!this.exports.has(0)) {
+        throw new TypeError("no root object exported");
+      }
+      result = this.exports.get(0);
+    } else {
+      var target = this.decode({ back: request.target });
+      if (request.op === "invoke") {
+        result = Reflect.apply(Reflect.get(target, args[0]), target, args[1]);
+      } else {
+        result = Reflect[request.op].apply(undefined, [target].concat(args));
+      }
+    }
+    response.result = mapRemoteValue(signature[1], result,
+                                     this.encode.bind(this));
+  } catch (e) {
+    if (Object.prototype.toString.call(e) === "[object Error]") {
+      response.error = { name: String(e.name), message: String(e.message) };
+    } else {
+      response.thrown = this.encode(e);
+    }
+  }
+  this.post(response);
+};
+
+RemoteConnection.prototype.makeRequest = function(op, id, args) {
+  if (this.closed) {
+    throw new Error("connection closed");
+  }
+  var signature = remoteSignatures[op];
+  return {
+    request: ++this.lastRequest,
+    op: op,
+    target: id,
+    args: mapRemoteArgs(signature[0], args, this.encode.bind(this)),
+    signal: this.signal
+  };
+};
+// returns the result of response, or throws its exception
+RemoteConnection.prototype.settle = function(op, response) {
+  if ("error" in response) {
+    var name = response.error.name;
+    var E = Object.prototype.hasOwnProperty.call(remoteErrors, name) ?
+      remoteErrors[name] : Error;
+    var error = new E(response.error.message);
+    if (error.name !== name) { error.name = name; }
+    throw error;
+  }
+  if ("thrown" in response) {
+    throw this.decode(response.thrown);
+  }
+  return mapRemoteValue(remoteSignatures[op][1], response.result,
+                        this.decode.bind(this));
+};
+/**
+ * Synchronously performs op on the remote object with import id id.
+ */
+RemoteConnection.prototype.request = function(op, id, args) {
+  var request = this.makeRequest(op, id, args);
+  var deadline = this.timeout === undefined ?
+    undefined : Date.now() + this.timeout;
+  var response;
+  this.pending.set(request.request, {
+    settle: function(message) { response = message; }
+  });
+  this.post(request);
+  while (response === undefined) {
+    var seen = this.signal === undefined ? 0 : Atomics.load(this.signal, 0);
+    var message = this.receive(this.port);
+    if (message !== undefined) {
+      this.handleMessage(message);
+    } else if (deadline === undefined) {
+      this.wait(this.signal, seen, undefined);
+    } else if (Date.now() < deadline) {
+      this.wait(this.signal, seen, deadline - Date.now());
+    } else {
+      this.pending.delete(request.request);
+      throw this.timeoutError(op);
+    }
+  }
+  return this.settle(op, response);
+};
+RemoteConnection.prototype.timeoutError = function(op) {
+  return new Error("remote " + op + " request timed out after " +
+                   this.timeout + " ms");
+};
+/**
+ * Eventually performs op on the remote object ref, i.e. a proxy obtained
+ * through this connection. Returns a promise for the result.
+ */
+RemoteConnection.prototype.send = function(ref, op /*,...args*/) {
+  var id = this.referenceId(ref);
+  if (!Object.prototype.hasOwnProperty.call(remoteSignatures, op) ||
+      op === "root") {
+    throw new TypeError("unknown remote operation: " + op);
+  }
+  return this.sendRequest(op, id, Array.prototype.slice.call(arguments, 2));
+};
+RemoteConnection.prototype.referenceId = function(ref) {
+  var id = this.importIds.get(ref);
+  if (id === undefined || typeof ref === "symbol") {
+    throw new TypeError("not a remote reference of this connection");
+  }
+  return id;
+};
+RemoteConnection.prototype.sendRequest = function(op, id, args) {
+  var connection = this;
+  return new Promise(function(resolve, reject) {
+    var request = connection.makeRequest(op, id, args);
+    var timer;
+    if (connection.timeout !== undefined) {
+      timer = setTimeout(function() {
+        connection.pending.delete(request.request);
+        reject(connection.timeoutError(op));
+      }, connection.timeout);
+    }
+    connection.pending.set(request.request, {
+      settle: function(message) {
+        clearTimeout(timer);
+        try {
+          resolve(connection.settle(op, message));
+        } catch (e) {
+          reject(e);
+        }
+      }
+    });
+    connection.post(request);
+  });
+};
+/**
+ * Returns an object whose methods eventually invoke the methods of the
+ * same name on the remote object ref, and return a promise for the result:
+ *   connection.eventual(ref).m(a, b) sends ref.m(a, b)
+ */
+RemoteConnection.prototype.eventual = function(ref) {
+  var connection = this;
+  this.referenceId(ref);
+  return new Proxy(Object.create(null), {
+    get: function(target, name) {
+      if (name === "then") { return undefined; } // not a thenable
+      return function(/*...args*/) {
+        return connection.send(ref, "invoke", name,
+                               Array.prototype.slice.call(arguments));
+      };
+    }
+  });
+};
+/**
+ * Synchronously returns a proxy for the root object of the other side.
+ */
+RemoteConnection.prototype.root = function() {
+  return this.request("root", undefined, []);
+};
+/**
+ * Returns a promise for a proxy for the root object of the other side.
+ */
+RemoteConnection.prototype.rootAsync = function() {
+  return this.sendRequest("root", undefined, []);
+};
+/**
+ * Tells the other side that the connection is closed, and closes the port.
+ * The pending requests of both sides fail.
+ */
+RemoteConnection.prototype.close = function() {
+  if (!this.closed) {
+    this.post({ closed: true });
+  }
+  this.shutDown("connection closed");
+  if (typeof this.port.close === "function") {
+    this.port.close();
+  }
+};
+// marks the connection as closed, and fails its pending requests
+RemoteConnection.prototype.shutDown = function(reason) {
+  this.closed = true;
+  var pending = this.pending;
+  this.pending = new Map();
+  pending.forEach(function(entry) {
+    entry.settle({ error: { name: "Error", message: reason } });
+  });
+};
+
+/**
+ * The handler of a proxy for the remote object with import id id on
+ * connection. Each trap sends a synchronous request. The proxy's target
+ * is a shadow that records the remote object's non-configurable
+ * properties and non-extensibility, as far as the proxy invariants
+ * require.
+ */
+function RemoteHandler(connection, id) {
+  VirtualHandler.call(this);
+  this.connection = connection;
+  this.id = id;
+}
+extend(RemoteHandler, VirtualHandler);
+RemoteHandler.prototype.managesTarget = true;
+
+RemoteHandler.prototype.request = function(op, args) {
+  return this.connection.request(op, this.id, args);
+};
+RemoteHandler.prototype.fixShadow = function(shadow) {
+  var handler = this;
+  fixShadowTarget(shadow, this.request("ownKeys", []), function(key) {
+    return handler.request("getOwnPropertyDescriptor", [key]);
+  }, this.request("getPrototypeOf", []));
+};
+
+RemoteHandler.prototype.getOwnPropertyDescriptor = function(shadow, name) {
+  var desc = this.request("getOwnPropertyDescriptor", [name]);
+  updateShadowProperty(shadow, name, desc);
+  return desc;
+};
+RemoteHandler.prototype.ownKeys = function(shadow) {
+  if (!Reflect.isExtensible(shadow)) {
+    this.fixShadow(shadow);
+  }
+  return this.request("ownKeys", []);
+};
+RemoteHandler.prototype.defineProperty = function(shadow, name, desc) {
+  var success = this.request("defineProperty", [name, desc]);
+  if (success && (desc.configurable === false ||
+                  !Reflect.isExtensible(shadow))) {
+    updateShadowProperty(shadow, name,
+                         this.request("getOwnPropertyDescriptor", [name]));
+  }
+  return success;
+};
+RemoteHandler.prototype.deleteProperty = function(shadow, name) {
+  var success = this.request("deleteProperty", [name]);
+  if (success) {
+    updateShadowProperty(shadow, name, undefined);
+  }
+  return success;
+};
+RemoteHandler.prototype.getPrototypeOf = function(shadow) {
+  return this.request("getPrototypeOf", []);
+};
+RemoteHandler.prototype.setPrototypeOf = function(shadow, proto) {
+  return this.request("setPrototypeOf", [proto]);
+};
+RemoteHandler.prototype.preventExtensions = function(shadow) {
+  var success = this.request("preventExtensions", []);
+  if (success) {
+    this.fixShadow(shadow);
+  }
+  return success;
+};
+RemoteHandler.prototype.isExtensible = function(shadow) {
+  var extensible = this.request("isExtensible", []);
+  if (!extensible && Reflect.isExtensible(shadow)) {
+    this.fixShadow(shadow);
+  }
+  return extensible;
+};
+RemoteHandler.prototype.apply = function(shadow, thisArg, args) {
+  return this.request("apply", [thisArg, args]);
+};
+RemoteHandler.prototype.has = function(shadow, name) {
+  return this.request("has", [name]);
+};
+RemoteHandler.prototype.get = function(shadow, name, receiver) {
+  return this.request("get", [name, receiver]);
+};
+RemoteHandler.prototype.set = function(shadow, name, value, receiver) {
+  return this.request("set", [name, value, receiver]);
+};
+RemoteHandler.prototype.construct = function(shadow, args, newTarget) {
+  return this.request("construct", [args, newTarget]);
+};
+
+// === RevocationScope ===
+
+/**
+ * A RevocationScope creates proxies from any handler subclass, and revokes
+ * all of them together, either explicitly or when one of its caveats
+ * fails:
+ *
+ *   var scope = new RevocationScope("plugin-1", {
+ *     expires: Date.now() + 60000, // a deadline, as a Date or a time value
+ *     uses: 1000,                  // the maximum number of operations
+ *     check: function(operation) { // a predicate on each operation
+ *       return operation.trap !== "deleteProperty";
+ *     }
+ *   });
+ *   var p = scope.proxyFor(ForwardingHandler, target);
+ *   scope.onRevoke(function(event) { ... }); // event.scope, event.reason
+ *   ...
+ *   scope.revoke("session ended");
+ *
+ * Operations are counted, and caveats checked, for each trap that the
+ * engine calls on behalf of client code, summed over all proxies of the
+ * scope. The operation passed to check has the name of the trap, and the
+ * property key for traps that take one. A revoked proxy throws a TypeError
+ * naming the scope and the reason for the revocation on every operation.
+ *
+ * The handler of a proxy of the scope is interposed on, rather than the
+ * proxy being created by Proxy.revocable, so that the error can name the
+ * scope. The scope is passed to the proxy factory of Handler, so the nested
+ * views of a proxy of the scope (e.g. the child views of an ObservableHandler)
+ * belong to the scope as well, but proxies that a handler or its target
+ * happen to create while handling an operation do not.
+ */
+function RevocationScope(name, caveats) {
+  caveats = caveats || {};
+  this.name = String(name);
+  this.revoked = false;
+  this.reason = undefined;
+  this.operations = 0;
+  this.expires = caveats.expires === undefined ?
+    undefined : +caveats.expires;
+  this.uses = caveats.uses;
+  this.check = caveats.check;
+  this.listeners = [];
+  this.timer = undefined;
+  this.depth = 0;
+  if (this.expires !== undefined) {
+    this.scheduleExpiry();
+  }
+}
+
+// setTimeout cannot schedule later than this many milliseconds ahead
+var MAX_TIMEOUT = 0x7fffffff;
+
+/**
+ * Returns a proxy for target created like Handler.proxyFor(target, ...args),
+ * that belongs to this scope.
+ */
+RevocationScope.prototype.proxyFor = function(Handler, target /*,...args*/) {
+  var args = Array.prototype.slice.call(arguments, 2);
+  this.assertActive();
+  return proxyFactoryOf(Handler).call(Handler, target, args,
+                                      { scope: this }).proxy;
+};
+RevocationScope.prototype.revoke = function(reason) {
+  if (this.revoked) {
+    return;
+  }
+  this.revoked = true;
+  this.reason = reason === undefined ? "revoked" : String(reason);
+  if (this.timer !== undefined) {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+  var event = { scope: this, reason: this.reason };
+  var error;
+  this.listeners.forEach(function(listener) {
+    try {
+      listener(event);
+    } catch (e) {
+      if (error === undefined) {
+        error = e;
+      }
+    }
+  });
+  this.listeners = [];
+  if (error !== undefined) {
+    throw error;
+  }
+};
+/**
+ * Calls listener with a { scope, reason } event when the scope is revoked.
+ */
+RevocationScope.prototype.onRevoke = function(listener) {
+  if (typeof listener !== "function") {
+    throw new TypeError("listener must be a function, got: " + listener);
+  }
+  if (this.revoked) {
+    listener({ scope: this, reason: this.reason });
+  } else {
+    this.listeners.push(listener);
+  }
+};
+RevocationScope.prototype.assertActive = function() {
+  if (this.revoked) {
+    throw new TypeError("revocation scope '" + this.name + "' was revoked: " +
+                        this.reason);
+  }
+};
+RevocationScope.prototype.scheduleExpiry = function() {
+  if (typeof setTimeout !== "function") {
+    return; // the deadline is still checked on each operation
+  }
+  var delay = Math.max(0, this.expires - Date.now());
+  if (delay > MAX_TIMEOUT) {
+    return;
+  }
+  var scope = this;
+  this.timer = setTimeout(function() {
+    scope.timer = undefined;
+    scope.revoke("expired");
+  }, delay);
+  if (typeof this.timer.unref === "function") {
+    this.timer.unref(); // an unexpired scope does not keep node running
+  }
+};
+// revokes the scope if the operation violates one of its caveats
+RevocationScope.prototype.checkCaveats = function(operation) {
+  if (this.expires !== undefined && Date.now() >= this.expires) {
+    this.revoke("expired");
+  } else if (this.uses !== undefined && this.operations >= this.uses) {
+    this.revoke("used up its " + this.uses + " operations");
+  } else if (this.check !== undefined && !this.check(operation)) {
+    var op = operation.trap;
+    if (keyedTraps[operation.trap]) {
+      op += " of property " + showKey(operation.key);
+    }
+    this.revoke("caveat rejected " + op);
+  }
+  this.assertActive();
+  this.operations++;
+};
+// maps the handlers interposed on by RevocationScope.prototype.guard to
+// their scope
+var scopedHandlers = new WeakMap();
+
+// interposes on handler to check the caveats of this scope
+RevocationScope.prototype.guard = function(handler) {
+  var scope = this;
+  var interposed = interposeHandler(handler, function(name, trap, guarded) {
+    return function(target /*,...args*/) {
+      if (scope.depth === 0) {
+        var operation = { trap: name };
+        if (keyedTraps[name]) {
+          operation.key = arguments[1];
+        }
+        scope.checkCaveats(operation);
+      } else {
+        scope.assertActive();
+      }
+      scope.depth++;
+      try {
+        return trap.apply(guarded, arguments);
+      } finally {
+        scope.depth--;
+      }
+    };
+  });
+  scopedHandlers.set(interposed, this);
+  return interposed;
+};
+
+// === proxy registry ===
+
+/**
+ * enableProxyRegistry() opts in to recording the proxies created by the
+ * proxyFor and revocableProxyFor methods of the handlers of this library
+ * (including the views and wrappers that handlers create themselves), and
+ * returns the registry that records them:
+ *
+ *   var registry = enableProxyRegistry();
+ *   var p = ForwardingHandler.proxyFor(target);
+ *   registry.isProxy(p) // true
+ *   registry.getHandler(p) // the ForwardingHandler
+ *   registry.getTarget(p) === target
+ *   registry.unwrap(p) === target
+ *
+ * The target of a proxy is the object that its handler forwards to, which
+ * for e.g. a ReadOnlyHandler or Membrane proxy is not the shadow target of
+ * the proxy itself. Proxies whose handler is virtual (a VirtualHandler that
+ * is not a RedirectingHandler, or a LazyHandler that was not forced yet)
+ * have no target.
+ *
+ * The registry is a capability: introspecting proxies breaks the
+ * encapsulation that handlers rely on, so only code that holds the
+ * registry can do it. It can be enabled only once, so trusted code should
+ * enable it before untrusted code gets a chance to. Proxies are only
+ * recorded once the registry is enabled, and are held weakly.
+ */
+function enableProxyRegistry() {
+  if (proxyRegistry !== null) {
+    throw new TypeError("the proxy registry is already enabled");
+  }
+  proxyRegistry = new ProxyRegistry();
+  return proxyRegistry;
+}
+
+// the registry returned by enableProxyRegistry, if any
+var proxyRegistry = null;
+
+function ProxyRegistry() {
+  // maps each recorded proxy to its target and handler, which are null
+  // once the proxy is revoked
+  this.proxies = new WeakMap();
+}
+ProxyRegistry.prototype.isProxy = function(obj) {
+  return this.proxies.has(obj);
+};
+/**
+ * Returns the handler of proxy, or null if proxy was revoked. If the
+ * handler was interposed on (e.g. to check invariants), returns the
+ * handler that was interposed on.
+ */
+ProxyRegistry.prototype.getHandler = function(proxy) {
+  return originalHandler(this.entryFor(proxy, "getHandler").handler);
+};
+/**
+ * Returns the target of proxy, or null if proxy was revoked or has no
+ * target (see above).
+ */
+ProxyRegistry.prototype.getTarget = function(proxy) {
+  var entry = this.entryFor(proxy, "getTarget");
+  if (entry.handler === null) {
+    return null;
+  }
+  return forwardedTarget(originalHandler(entry.handler), entry.target);
+};
+/**
+ * Returns the target of obj if it is a recorded proxy, and obj otherwise.
+ * With { deep: true }, keeps unwrapping until the result is not a recorded
+ * proxy. A proxy that has no target is returned as is.
+ */
+ProxyRegistry.prototype.unwrap = function(obj, options) {
+  var deep = options !== undefined && !!options.deep;
+  do {
+    if (!this.proxies.has(obj)) {
+      return obj;
+    }
+    if (this.entryFor(obj, "unwrap").handler === null) {
+      throw new TypeError("unwrap: cannot unwrap a revoked proxy");
+    }
+    var target = this.getTarget(obj);
+    if (target === null) {
+      return obj;
+    }
+    obj = target;
+  } while (deep);
+  return obj;
+};
+/**
+ * Returns the entry of proxy, whose target and handler are null once the
+ * proxy is revoked, either by its revoke function or by its
+ * RevocationScope.
+ */
+ProxyRegistry.prototype.entryFor = function(proxy, operation) {
+  var entry = this.proxies.get(proxy);
+  if (entry === undefined) {
+    throw new TypeError(operation + ": not a recorded proxy");
+  }
+  if (entry.handler !== null && inRevokedScope(entry.handler)) {
+    entry.target = null;
+    entry.handler = null;
+  }
+  return entry;
+};
+
+// the handler that handler was interposed on, if any
+function originalHandler(handler) {
+  while (interposedHandlers.has(handler)) {
+    handler = interposedHandlers.get(handler);
+  }
+  return handler;
+}
+
+// the object that handler, the handler of a proxy for target, forwards to,
+// or null if it has none
+function forwardedTarget(handler, target) {
+  if (handler instanceof ReadOnlyHandler ||
+      handler instanceof MembraneHandler) {
+    return handler.target;
+  }
+  if (handler instanceof RedirectingHandler) {
+    return handler.backing === undefined ? null : handler.backing;
+  }
+  if (handler instanceof VirtualHandler) {
+    return null;
+  }
+  return target;
+}
+
+// whether handler is guarded by a RevocationScope that was revoked
+function inRevokedScope(handler) {
+  while (interposedHandlers.has(handler)) {
+    var scope = scopedHandlers.get(handler);
+    if (scope !== undefined && scope.revoked) {
+      return true;
+    }
+    handler = interposedHandlers.get(handler);
+  }
+  return false;
+}
+
+// creates a proxy, and records it if the proxy registry is enabled
+function createProxy(target, handler) {
+  var proxy = new Proxy(target, handler);
+  if (proxyRegistry !== null) {
+    proxyRegistry.proxies.set(proxy, { target: target, handler: handler });
+  }
+  return proxy;
+}
+
+// like createProxy, for revocable proxies
+function createRevocableProxy(target, handler) {
+  var result = Proxy.revocable(target, handler);
+  if (proxyRegistry !== null) {
+    var entry = { target: target, handler: handler };
+    var revoke = result.revoke;
+    proxyRegistry.proxies.set(result.proxy, entry);
+    result.revoke = function() {
+      entry.target = null;
+      entry.handler = null;
+      revoke();
+    };
+  }
+  return result;
+}
+
+// == invariant checking ==
+
+/**
+ * A handler that violates one of the proxy invariants of ES2015 9.5 makes
+ * the engine throw a TypeError that does not say which trap or handler was
+ * at fault. A checked handler validates each trap result against the state
+ * of the target itself, and throws a TypeError naming the handler, the
+ * trap, the property and the chain of traps that led to it.
+ */
+
+// the traps currently executing on checked handlers, outermost first.
+// Derived traps re-enter the proxy (e.g. set calls Reflect.defineProperty
+// on the receiver), so nested traps are recorded here as well.
+var checkedTrapStack = [];
+
+// while checkHandler runs a check, the path of each checked trap is logged
+var trapLog = null;
+
+function showKey(key) {
+  return typeof key === "symbol" ? String(key) : "'" + key + "'";
+}
+
+// ES2015 9.1.6.2 IsCompatiblePropertyDescriptor
+function isCompatibleDescriptor(extensible, desc, current) {
+  if (current === undefined) return extensible;
+  if (current.configurable) return true;
+  if (desc.configurable === true) return false;
+  if ('enumerable' in desc && desc.enumerable !== current.enumerable) {
+    return false;
+  }
+  if (isGenericDescriptor(desc)) return true;
+  if (isDataDescriptor(current) !== isDataDescriptor(desc)) return false;
+  if (isDataDescriptor(current)) {
+    if (current.writable) return true;
+    if (desc.writable === true) return false;
+    return !('value' in desc) || Object.is(desc.value, current.value);
+  }
+  if ('get' in desc && desc.get !== current.get) return false;
+  if ('set' in desc && desc.set !== current.set) return false;
+  return true;
+}
+
+// Each check receives the target, the trap arguments following the target,
+// and the trap result. It returns a description of the violated invariant,
+// or undefined if the result is valid.
+var invariantChecks = {
+  getOwnPropertyDescriptor: function(target, args, result) {
+    if (result !== undefined && Object(result) !== result) {
+      return "must return an object or undefined, returned " + result;
+    }
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    var extensible = Reflect.isExtensible(target);
+    if (result === undefined) {
+      if (targetDesc === undefined) return undefined;
+      if (!targetDesc.configurable) {
+        return "reported a non-configurable property of the target " +
+               "as non-existent";
+      }
+      if (!extensible) {
+        return "reported a property of the non-extensible target " +
+               "as non-existent";
+      }
+      return undefined;
+    }
+    var desc = toCompletePropertyDescriptor(result);
+    if (!isCompatibleDescriptor(extensible, desc, targetDesc)) {
+      return targetDesc === undefined ?
+        "reported a property that the non-extensible target lacks" :
+        "reported a descriptor incompatible with the target's " +
+        "non-configurable property";
+    }
+    if (!desc.configurable) {
+      if (targetDesc === undefined || targetDesc.configurable) {
+        return "reported a property as non-configurable, but it is " +
+               "configurable or non-existent on the target";
+      }
+      if (desc.writable === false && targetDesc.writable) {
+        return "reported a property as non-configurable and non-writable, " +
+               "but it is writable on the target";
+      }
+    }
+    return undefined;
+  },
+  defineProperty: function(target, args, result) {
+    if (!result) return undefined;
+    var desc = toPropertyDescriptor(args[1]);
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    var settingConfigFalse = desc.configurable === false;
+    if (targetDesc === undefined) {
+      if (!Reflect.isExtensible(target)) {
+        return "reported success adding a property to the " +
+               "non-extensible target";
+      }
+      if (settingConfigFalse) {
+        return "reported success defining a non-configurable property " +
+               "that the target lacks";
+      }
+      return undefined;
+    }
+    if (!isCompatibleDescriptor(true, desc, targetDesc)) {
+      return "reported success redefining the target's non-configurable " +
+             "property incompatibly";
+    }
+    if (settingConfigFalse && targetDesc.configurable) {
+      return "reported success defining a non-configurable property, " +
+             "but it is configurable on the target";
+    }
+    if (isDataDescriptor(targetDesc) && !targetDesc.configurable &&
+        targetDesc.writable && desc.writable === false) {
+      return "reported success making a property non-writable, " +
+             "but it is writable on the target";
+    }
+    return undefined;
+  },
+  deleteProperty: function(target, args, result) {
+    if (!result) return undefined;
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    if (targetDesc === undefined) return undefined;
+    if (!targetDesc.configurable) {
+      return "reported success deleting a non-configurable property " +
+             "of the target";
+    }
+    if (!Reflect.isExtensible(target)) {
+      return "reported success deleting a property that still exists " +
+             "on the non-extensible target";
+    }
+    return undefined;
+  },
+  getPrototypeOf: function(target, args, result) {
+    if (result !== null && Object(result) !== result) {
+      return "must return an object or null, returned " + result;
+    }
+    if (!Reflect.isExtensible(target) &&
+        result !== Reflect.getPrototypeOf(target)) {
+      return "reported a prototype that differs from the prototype " +
+             "of the non-extensible target";
+    }
+    return undefined;
+  },
+  setPrototypeOf: function(target, args, result) {
+    if (result && !Reflect.isExtensible(target) &&
+        args[0] !== Reflect.getPrototypeOf(target)) {
+      return "reported success changing the prototype of the " +
+             "non-extensible target";
+    }
+    return undefined;
+  },
+  isExtensible: function(target, args, result) {
+    if (!!result !== Reflect.isExtensible(target)) {
+      return "reported " + (result ? "extensible" : "non-extensible") +
+             ", but the target is " +
+             (result ? "non-extensible" : "extensible");
+    }
+    return undefined;
+  },
+  preventExtensions: function(target, args, result) {
+    if (result && Reflect.isExtensible(target)) {
+      return "reported success, but the target is still extensible";
+    }
+    return undefined;
+  },
+  ownKeys: function(target, args, result) {
+    if (Object(result) !== result) {
+      return "must return an array-like object, returned " + result;
+    }
+    var keys = Array.prototype.slice.call(result);
+    for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      if (typeof key !== "string" && typeof key !== "symbol") {
+        return "listed " + String(key) + ", which is not a string or symbol";
+      }
+      if (keys.indexOf(key) !== i) {
+        return "listed property " + showKey(key) + " more than once";
+      }
+    }
+    var extensible = Reflect.isExtensible(target);
+    var targetKeys = Reflect.ownKeys(target);
+    for (var j = 0; j < targetKeys.length; j++) {
+      var targetKey = targetKeys[j];
+      if (keys.indexOf(targetKey) !== -1) continue;
+      if (!Reflect.getOwnPropertyDescriptor(target, targetKey).configurable) {
+        return "omitted non-configurable property " + showKey(targetKey) +
+               " of the target";
+      }
+      if (!extensible) {
+        return "omitted property " + showKey(targetKey) +
+               " of the non-extensible target";
+      }
+    }
+    if (!extensible) {
+      for (var k = 0; k < keys.length; k++) {
+        if (targetKeys.indexOf(keys[k]) === -1) {
+          return "listed property " + showKey(keys[k]) +
+                 " that the non-extensible target lacks";
+        }
+      }
+    }
+    return undefined;
+  },
+  has: function(target, args, result) {
+    if (result) return undefined;
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    if (targetDesc === undefined) return undefined;
+    if (!targetDesc.configurable) {
+      return "reported a non-configurable property of the target " +
+             "as non-existent";
+    }
+    if (!Reflect.isExtensible(target)) {
+      return "reported a property of the non-extensible target " +
+             "as non-existent";
+    }
+    return undefined;
+  },
+  get: function(target, args, result) {
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    if (targetDesc === undefined || targetDesc.configurable) return undefined;
+    if (isDataDescriptor(targetDesc) && !targetDesc.writable &&
+        !Object.is(result, targetDesc.value)) {
+      return "reported a value that differs from the target's " +
+             "non-writable, non-configurable property";
+    }
+    if (isAccessorDescriptor(targetDesc) && targetDesc.get === undefined &&
+        result !== undefined) {
+      return "reported a value for the target's non-configurable " +
+             "accessor without a getter";
+    }
+    return undefined;
+  },
+  set: function(target, args, result) {
+    if (!result) return undefined;
+    var targetDesc = Reflect.getOwnPropertyDescriptor(target, args[0]);
+    if (targetDesc === undefined || targetDesc.configurable) return undefined;
+    if (isDataDescriptor(targetDesc) && !targetDesc.writable &&
+        !Object.is(args[1], targetDesc.value)) {
+      return "reported success assigning the target's non-writable, " +
+             "non-configurable property";
+    }
+    if (isAccessorDescriptor(targetDesc) && targetDesc.set === undefined) {
+      return "reported success assigning the target's non-configurable " +
+             "accessor without a setter";
+    }
+    return undefined;
+  },
+  apply: function(target, args, result) {
+    return undefined; // no invariants
+  },
+  construct: function(target, args, result) {
+    if (Object(result) !== result) {
+      return "must return an object, returned " + result;
+    }
+    return undefined;
+  }
+};
+
+/**
+ * Returns a handler that behaves like the given handler, but checks the
+ * result of each trap.
+ */
+function checkedHandler(handler, handlerName) {
+  if (!handlerName) {
+    var ctor = handler.constructor;
+    handlerName = (typeof ctor === "function" && ctor.name) || "handler";
+  }
+  return interposeHandler(handler, function(name, trap, checked) {
+    return function(target /*,...args*/) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      checkedTrapStack.push(name);
+      var path = checkedTrapStack.join(" → ");
+      if (trapLog !== null) {
+        trapLog.push(path);
+      }
+      var result;
+      try {
+        result = trap.apply(checked, arguments);
+      } finally {
+        checkedTrapStack.pop();
+      }
+      var violation = invariantChecks[name](target, args, result);
+      if (violation !== undefined) {
+        var msg = handlerName + "." + name;
+        if (keyedTraps[name]) {
+          msg += " for property " + showKey(args[0]);
+        }
+        if (path !== name) {
+          msg += " (via " + path + ")";
+        }
+        throw new TypeError("proxy invariant violated by " + msg + ": " +
+                            violation);
+      }
+      return result;
+    };
+  });
+}
+
+// == conformance kit ==
+
+/**
+ * checkHandler(Handler, targetFactory, options) runs a generated suite of
+ * consistency checks against proxies created by Handler.proxyFor, and
+ * returns a report rather than throwing, so that it can be used from any
+ * test runner:
+ *
+ *   var report = checkHandler(MyHandler, function(kind) {
+ *     return kind === "function" ? function() {} : {};
+ *   });
+ *   report.ok // true if no check failed
+ *   report.results // [{ name, status: "passed"|"failed"|"skipped", message }]
+ *
+ * Each check creates a fresh target by calling targetFactory(kind), where
+ * kind is "object" or "function", and a fresh proxy for it, with invariant
+ * checking enabled (see DelegatingHandler.checkInvariants). The checks only
+ * operate on the proxy, so they apply to virtual handlers as well. A check
+ * is skipped if the proxy refuses to set up its fixture (e.g. a read-only
+ * handler rejecting defineProperty), or if targetFactory returns a
+ * non-callable target for a "function" check.
+ *
+ * Options:
+ *  - args: the arguments following the target passed to proxyFor, or a
+ *    function(kind, target) returning them (default: none)
+ *  - only: the names of the checks to run (default: all)
+ *  - skip: the names of the checks not to run
+ */
+function checkHandler(Handler, targetFactory, options) {
+  options = options || {};
+  var args = options.args || [];
+  var handlerName = Handler.name || "handler";
+  var factory = proxyFactoryOf(Handler);
+  var report = { handler: handlerName, ok: true,
+                 passed: 0, failed: 0, skipped: 0, results: [] };
+  Object.keys(conformanceChecks).forEach(function(name) {
+    if ((options.only && options.only.indexOf(name) === -1) ||
+        (options.skip && options.skip.indexOf(name) !== -1)) {
+      return;
+    }
+    var check = conformanceChecks[name];
+    var result = { name: name, status: "passed", message: undefined };
+    var checkInvariants = DelegatingHandler.checkInvariants;
+    var log = [];
+    try {
+      var target = targetFactory(check.kind);
+      if (check.kind === "function" && typeof target !== "function") {
+        throw new SkippedCheck("targetFactory did not return a function");
+      }
+      var proxyArgs = typeof args === "function" ?
+        args(check.kind, target) : args;
+      DelegatingHandler.checkInvariants = true;
+      var proxy = factory.call(Handler, target, proxyArgs, {}).proxy;
+      trapLog = log;
+      check.run(proxy, log);
+    } catch (e) {
+      if (e instanceof SkippedCheck) {
+        result.status = "skipped";
+      } else {
+        result.status = "failed";
+        report.ok = false;
+      }
+      result.message = (e && e.message) || String(e);
+    } finally {
+      trapLog = null;
+      DelegatingHandler.checkInvariants = checkInvariants;
+    }
+    report[result.status]++;
+    report.results.push(result);
+  });
+  return report;
+}
+
+function SkippedCheck(message) {
+  this.message = message;
+}
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// defines name on proxy, or skips the check if the proxy refuses
+function defineFixture(proxy, name, desc) {
+  if (!Reflect.defineProperty(proxy, name, desc)) {
+    throw new SkippedCheck("defineProperty of " + showKey(name) +
+                           " was rejected");
+  }
+}
+
+function dataFixture(value) {
+  return { value: value, writable: true, enumerable: true, configurable: true };
+}
+
+// checks that the derived traps agree with getOwnPropertyDescriptor
+// about the own property name
+function expectOwnProperty(proxy, name, value) {
+  var desc = Reflect.getOwnPropertyDescriptor(proxy, name);
+  expect(desc !== undefined,
+         "getOwnPropertyDescriptor does not report " + showKey(name));
+  if ("value" in desc) {
+    expect(Object.is(desc.value, value), "getOwnPropertyDescriptor reports " +
+           showKey(name) + " as " + String(desc.value) + ", expected " +
+           String(value));
+  }
+  expect(Object.is(proxy[name], value), "get returns " +
+         String(proxy[name]) + " for " + showKey(name) + ", expected " +
+         String(value));
+  expect(name in proxy, "has does not report " + showKey(name));
+  expect(Object.prototype.hasOwnProperty.call(proxy, name),
+         "hasOwnProperty does not report " + showKey(name));
+  expect(Reflect.ownKeys(proxy).indexOf(name) !== -1,
+         "ownKeys does not list " + showKey(name));
+  expect((Object.keys(proxy).indexOf(name) !== -1) ===
+         (typeof name === "string" && desc.enumerable),
+         "keys disagrees with the enumerability of " + showKey(name));
+}
+
+function expectNoOwnProperty(proxy, name) {
+  expect(Reflect.getOwnPropertyDescriptor(proxy, name) === undefined,
+         "getOwnPropertyDescriptor still reports " + showKey(name));
+  expect(!Object.prototype.hasOwnProperty.call(proxy, name),
+         "hasOwnProperty still reports " + showKey(name));
+  expect(Reflect.ownKeys(proxy).indexOf(name) === -1,
+         "ownKeys still lists " + showKey(name));
+}
+
+// whether one of the traps logged since index start is a defineProperty
+function definedSince(log, start) {
+  return log.slice(start).some(function(path) {
+    return /defineProperty$/.test(path);
+  });
+}
+
+var conformanceChecks = {
+  "data property": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "x", dataFixture(1));
+    expectOwnProperty(proxy, "x", 1);
+  }},
+  "set updates an existing property via defineProperty": {
+    kind: "object", run: function(proxy, log) {
+    defineFixture(proxy, "x", dataFixture(1));
+    var start = log.length;
+    expect(Reflect.set(proxy, "x", 2), "set returned false");
+    expect(definedSince(log, start), "set did not call defineProperty");
+    expectOwnProperty(proxy, "x", 2);
+    var desc = Reflect.getOwnPropertyDescriptor(proxy, "x");
+    expect(desc.writable && desc.enumerable && desc.configurable,
+           "set changed the attributes of 'x'");
+  }},
+  "set adds a new property via defineProperty": {
+    kind: "object", run: function(proxy, log) {
+    var start = log.length;
+    if (!Reflect.set(proxy, "y", 3)) {
+      throw new SkippedCheck("set of 'y' was rejected");
+    }
+    expect(definedSince(log, start), "set did not call defineProperty");
+    expectOwnProperty(proxy, "y", 3);
+    var desc = Reflect.getOwnPropertyDescriptor(proxy, "y");
+    expect(desc.writable && desc.enumerable && desc.configurable,
+           "set added 'y' with non-default attributes");
+  }},
+  "non-writable property": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "x", { value: 1, writable: false,
+                                enumerable: true, configurable: true });
+    expect(!Reflect.set(proxy, "x", 2),
+           "set succeeded on non-writable 'x'");
+    expectOwnProperty(proxy, "x", 1);
+  }},
+  "accessor property": { kind: "object", run: function(proxy) {
+    var value = 1;
+    function get() { return value; }
+    function set(v) { value = v; }
+    defineFixture(proxy, "a", { get: get, set: set,
+                                enumerable: true, configurable: true });
+    var desc = Reflect.getOwnPropertyDescriptor(proxy, "a");
+    expect(desc !== undefined && desc.get === get && desc.set === set,
+           "getOwnPropertyDescriptor does not report the accessor 'a'");
+    expectOwnProperty(proxy, "a", 1);
+    expect(Reflect.set(proxy, "a", 2) && value === 2,
+           "set did not call the setter of 'a'");
+  }},
+  "non-enumerable property": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "h", { value: 1, writable: true,
+                                enumerable: false, configurable: true });
+    expectOwnProperty(proxy, "h", 1);
+    for (var name in proxy) {
+      expect(name !== "h", "for-in enumerates non-enumerable 'h'");
+    }
+  }},
+  "symbol-keyed property": { kind: "object", run: function(proxy) {
+    var sym = Symbol("checkHandler");
+    defineFixture(proxy, sym, dataFixture(1));
+    expectOwnProperty(proxy, sym, 1);
+    expect(Object.getOwnPropertyNames(proxy).indexOf(sym) === -1,
+           "getOwnPropertyNames lists a symbol");
+  }},
+  "delete property": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "x", dataFixture(1));
+    expect(Reflect.deleteProperty(proxy, "x"), "delete returned false");
+    expectNoOwnProperty(proxy, "x");
+    expect(!("x" in proxy) && proxy.x === undefined,
+           "deleted 'x' is still visible");
+  }},
+  "prototype": { kind: "object", run: function(proxy) {
+    var proto = { inherited: 1 };
+    if (!Reflect.setPrototypeOf(proxy, proto)) {
+      throw new SkippedCheck("setPrototypeOf was rejected");
+    }
+    expect(Reflect.getPrototypeOf(proxy) === proto,
+           "getPrototypeOf does not report the new prototype");
+    expect(proxy.inherited === 1, "get does not find 'inherited'");
+    expect("inherited" in proxy, "has does not find 'inherited'");
+    expectNoOwnProperty(proxy, "inherited");
+    if (Reflect.set(proxy, "inherited", 2)) {
+      expect(proto.inherited === 1,
+             "set of 'inherited' updated the prototype");
+      expectOwnProperty(proxy, "inherited", 2);
+    }
+  }},
+  "non-extensible": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "x", dataFixture(1));
+    if (!Reflect.preventExtensions(proxy)) {
+      throw new SkippedCheck("preventExtensions was rejected");
+    }
+    expect(!Reflect.isExtensible(proxy), "isExtensible reports true");
+    expect(!Reflect.defineProperty(proxy, "y", dataFixture(2)),
+           "defineProperty added 'y' to a non-extensible object");
+    expect(!Reflect.set(proxy, "y", 2),
+           "set added 'y' to a non-extensible object");
+    expectNoOwnProperty(proxy, "y");
+    expectOwnProperty(proxy, "x", 1);
+  }},
+  "frozen": { kind: "object", run: function(proxy) {
+    defineFixture(proxy, "x", dataFixture(1));
+    if (!Reflect.preventExtensions(proxy)) {
+      throw new SkippedCheck("preventExtensions was rejected");
+    }
+    Reflect.ownKeys(proxy).forEach(function(key) {
+      expect(Reflect.defineProperty(proxy, key, { configurable: false,
+                                                  writable: false }),
+             "could not freeze " + showKey(key));
+    });
+    expect(Object.isFrozen(proxy), "isFrozen reports false");
+    expect(!Reflect.set(proxy, "x", 2), "set succeeded on frozen 'x'");
+    expect(!Reflect.deleteProperty(proxy, "x"),
+           "delete succeeded on frozen 'x'");
+    expectOwnProperty(proxy, "x", 1);
+  }},
+  "function call": { kind: "function", run: function(proxy) {
+    expect(typeof proxy === "function", "typeof proxy is " + typeof proxy);
+    Reflect.apply(proxy, undefined, []);
+  }},
+  "function construct": { kind: "function", run: function(proxy) {
+    var instance = Reflect.construct(proxy, []);
+    var proto = proxy.prototype;
+    if (Object(proto) === proto) {
+      expect(Reflect.getPrototypeOf(instance) === proto,
+             "constructed instance does not inherit from proxy.prototype");
+    }
+  }}
+};
+
 // == export bindings ==
 
 exports.DelegatingHandler = DelegatingHandler;
 exports.ForwardingHandler = ForwardingHandler;
 exports.VirtualHandler = VirtualHandler;
+exports.VirtualArrayHandler = VirtualArrayHandler;
+exports.StorageHandler = StorageHandler;
+exports.MapAdapter = MapAdapter;
+exports.FileAdapter = FileAdapter;
+exports.compose = compose;
+exports.RedirectingHandler = RedirectingHandler;
+exports.LazyHandler = LazyHandler;
+exports.Membrane = Membrane;
+exports.MembraneHandler = MembraneHandler;
+exports.ReadOnlyHandler = ReadOnlyHandler;
+exports.PolicyHandler = PolicyHandler;
+exports.DefaultingHandler = DefaultingHandler;
+exports.ObservableHandler = ObservableHandler;
+exports.TransactionHandler = TransactionHandler;
+exports.SchemaHandler = SchemaHandler;
+exports.SchemaError = SchemaError;
+exports.TracingHandler = TracingHandler;
+exports.TraceLog = TraceLog;
+exports.RemoteHandler = RemoteHandler;
+exports.RemoteConnection = RemoteConnection;
+exports.RevocationScope = RevocationScope;
+exports.enableProxyRegistry = enableProxyRegistry;
+exports.checkHandler = checkHandler;
 
 }(typeof exports !== 'undefined' ? exports : this)); // function-as-module pattern
\ No newline at end of file
@@ -0,0 +1,114 @@
+/*
+Copyright (c) 2013, Tom Van Cutsem
+All rights reserved.
+
+Redistribution and use in source and binary forms, with or without modification,
+are permitted provided that the following conditions are met:
+
+* Redistributions of source code must retain the above copyright notice, this
+  list of conditions and the following disclaimer.
+
+* Redistributions in binary form must reproduce the above copyright notice, this
+  list of conditions and the following disclaimer in the documentation and/or
+  other materials provided with the distribution.
+
+THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR
+ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+(INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON
+ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+(INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+// Micro-benchmarks for the derived traps of DelegatingHandler.
+//
+// Handlers that inherit the fundamental traps on which a derived trap
+// depends take a fast path straight to Reflect. The "slow path" handler
+// below overrides getOwnPropertyDescriptor and getPrototypeOf with
+// equivalent super-sends, which forces the derived traps to go through
+// them, as all derived traps did before the fast paths were introduced.
+//
+// Usage: node test/benchHandlers.js [iterations]
+
+if (typeof Reflect === "undefined") {
+  require('harmony-reflect');
+}
+var Handlers = require('../proxy_handlers.js');
+var DelegatingHandler = Handlers.DelegatingHandler;
+var ForwardingHandler = Handlers.ForwardingHandler;
+
+var ITERATIONS = Number(process.argv[2]) || 200000;
+
+function Logger() {};
+Logger.prototype = Object.create(DelegatingHandler.prototype);
+Logger.prototype.defineProperty = function(target, name, desc) {
+  this.lastLogged = name;
+  return DelegatingHandler.prototype.defineProperty.call(this, target, name, desc);
+};
+
+function SlowHandler() {};
+SlowHandler.prototype = Object.create(DelegatingHandler.prototype);
+SlowHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+  return DelegatingHandler.prototype.getOwnPropertyDescriptor.call(
+    this, target, name);
+};
+SlowHandler.prototype.getPrototypeOf = function(target) {
+  return DelegatingHandler.prototype.getPrototypeOf.call(this, target);
+};
+
+function makeTarget() {
+  return Object.create({ inherited: 1 }, {
+    foo: { value: 0, writable: true, enumerable: true, configurable: true }
+  });
+}
+
+var subjects = [
+  ["plain object",                function(t) { return t; }],
+  ["native proxy, empty handler", function(t) { return new Proxy(t, {}); }],
+  ["DelegatingHandler",           function(t) {
+    return DelegatingHandler.proxyFor(t); }],
+  ["ForwardingHandler",           function(t) {
+    return DelegatingHandler.proxyFor.call(ForwardingHandler, t); }],
+  ["Logger (overrides defineProperty)", function(t) {
+    return DelegatingHandler.proxyFor.call(Logger, t); }],
+  ["slow path (overrides getOwnPropertyDescriptor)", function(t) {
+    return DelegatingHandler.proxyFor.call(SlowHandler, t); }]
+];
+
+var operations = [
+  ["get own",       function(o) { return o.foo; }],
+  ["get inherited", function(o) { return o.inherited; }],
+  ["set",           function(o, i) { o.foo = i; }],
+  ["has",           function(o) { return "inherited" in o; }]
+];
+
+function time(op, obj) {
+  var start = process.hrtime();
+  for (var i = 0; i < ITERATIONS; i++) {
+    op(obj, i);
+  }
+  var elapsed = process.hrtime(start);
+  return (elapsed[0] * 1e9 + elapsed[1]) / ITERATIONS;
+}
+
+function pad(str, width) {
+  while (str.length < width) { str += " "; }
+  return str;
+}
+
+console.log(ITERATIONS + " iterations, ns/op");
+console.log(pad("", 48) + operations.map(function(op) {
+  return pad(op[0], 14);
+}).join(""));
+subjects.forEach(function(subject) {
+  var obj = subject[1](makeTarget());
+  var row = operations.map(function(op) {
+    time(op[1], obj); // warm up
+    return pad(time(op[1], obj).toFixed(1), 14);
+  });
+  console.log(pad(subject[0], 48) + row.join(""));
+});
@@ -31,7 +31,9 @@ var print = function(msg) {
   if(/^fail/.test(msg)) { console.error(msg); }
   else { console.log(msg); }
 }
-require('harmony-reflect');
+if (typeof Reflect === "undefined") {
+  require('harmony-reflect');
+}
 var Handlers = require('../proxy_handlers.js');
 
 function assert(b, msg) {
@@ -107,6 +109,104 @@ function test() {
   }());
 
 
+  // test that the standard ES2015 traps are used by derived operations
+  (function () {
+    var extensibleCalls = 0;
+    function MyHandler() {};
+    MyHandler.prototype = Object.create(DelegatingHandler.prototype);
+    MyHandler.prototype.ownKeys = function(target) {
+      return Reflect.ownKeys(target).concat(["bar"]);
+    };
+    MyHandler.prototype.getOwnPropertyDescriptor = function(target, name) {
+      if (name === "bar") {
+        return { value: 24, enumerable: true, configurable: true };
+      }
+      return Reflect.getOwnPropertyDescriptor(target, name);
+    };
+    MyHandler.prototype.isExtensible = function(target) {
+      extensibleCalls++;
+      return Reflect.isExtensible(target);
+    };
+
+    var proxy = DelegatingHandler.proxyFor.call(MyHandler, {foo: 42});
+    assert(Object.keys(proxy).join() === "foo,bar", 'keys use ownKeys');
+    assert(proxy.bar === 24, 'get uses getOwnPropertyDescriptor');
+    assert(Object.isExtensible(proxy) === true, 'isExtensible trap');
+    assert(extensibleCalls === 1, 'isExtensible override called');
+  }());
+
+  // test that construct honors newTarget
+  (function () {
+    function Point(x) { this.x = x; }
+    function SubPoint() {}
+    SubPoint.prototype = Object.create(Point.prototype);
+
+    var P = DelegatingHandler.proxyFor(Point);
+    var p = new P(1);
+    assert(p instanceof Point && p.x === 1, 'construct without newTarget');
+    var s = Reflect.construct(P, [2], SubPoint);
+    assert(Object.getPrototypeOf(s) === SubPoint.prototype,
+           'construct allocates from newTarget.prototype');
+    assert(s.x === 2, 'construct calls target to initialize instance');
+  }());
+
+  // test symbol-keyed properties with all three handlers
+  (function () {
+    var hidden = Symbol("hidden");
+    function makeTarget() {
+      var target = { foo: 42 };
+      target[Symbol.iterator] = function*() { yield 1; yield 2; };
+      target[Symbol.toStringTag] = "Tagged";
+      target[Symbol.toPrimitive] = function(hint) {
+        return hint === "number" ? 7 : "seven";
+      };
+      target[hidden] = "secret";
+      return target;
+    }
+
+    function SymbolLogger() {};
+    SymbolLogger.prototype = Object.create(ForwardingHandler.prototype);
+    SymbolLogger.prototype.defineProperty = function(target, name, desc) {
+      this.lastDefined = name;
+      return Reflect.defineProperty(target, name, desc);
+    };
+
+    function VirtualObject(backing) { this.backing = backing; };
+    VirtualObject.prototype = Object.create(VirtualHandler.prototype);
+    ["getOwnPropertyDescriptor", "ownKeys", "getPrototypeOf",
+     "defineProperty", "isExtensible"].forEach(function(trap) {
+      VirtualObject.prototype[trap] = function(target /*,...args*/) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        return Reflect[trap].apply(undefined, [this.backing].concat(args));
+      };
+    });
+
+    [DelegatingHandler, ForwardingHandler, VirtualObject].forEach(function(H) {
+      var proxy = H === VirtualObject ?
+        DelegatingHandler.proxyFor.call(H, {}, makeTarget()) :
+        DelegatingHandler.proxyFor.call(H, makeTarget());
+      assert(Array.from(proxy).join() === "1,2",
+             'Symbol.iterator via proxy');
+      assert(Object.prototype.toString.call(proxy) === "[object Tagged]",
+             'Symbol.toStringTag via proxy');
+      assert(+proxy === 7 && String(proxy) === "seven",
+             'Symbol.toPrimitive via proxy');
+      assert(hidden in proxy, 'has with symbol key');
+      assert(Reflect.ownKeys(proxy).indexOf(hidden) !== -1,
+             'ownKeys lists symbol keys');
+      proxy[hidden] = "revealed";
+      assert(proxy[hidden] === "revealed", 'set with symbol key');
+    });
+
+    var handler = new SymbolLogger();
+    var proxy = new Proxy(makeTarget(), handler);
+    proxy[hidden] = "logged";
+    assert(handler.lastDefined === hidden,
+           'ForwardingHandler set routes symbol key to defineProperty');
+    assert(handler.keys(makeTarget()).join() === "foo",
+           'keys skips symbol keys');
+  }());
+
   // test DelegatingHandler using simple Logger example
   (function () {
     var lastLogged = "";
@@ -186,6 +286,1173 @@ function test() {
   }());
 
 
+  // test subclassing the handlers with ES classes
+  (function () {
+    class Logger extends ForwardingHandler {
+      constructor(log) {
+        super();
+        this.log = log;
+      }
+      defineProperty(target, name, desc) {
+        this.log.push(name);
+        return super.defineProperty(target, name, desc);
+      }
+    }
+    class TaggingLogger extends Logger {
+      get(target, name, receiver) {
+        return name === "tag" ? "tagged" : super.get(target, name, receiver);
+      }
+    }
+
+    var log = [];
+    var p = TaggingLogger.proxyFor({ foo: 42 }, log);
+    p.foo = 43;
+    assert(p.foo === 43 && log.join() === "foo",
+           "class: super.defineProperty with constructor arguments");
+    assert(p.tag === "tagged", "class: subclass of subclass");
+    assert(new TaggingLogger([]) instanceof Logger &&
+           new Logger([]) instanceof ForwardingHandler &&
+           new Logger([]) instanceof DelegatingHandler,
+           "class: instanceof");
+
+    var r = Logger.revocableProxyFor({}, log);
+    r.proxy.bar = 1;
+    assert(log.join() === "foo,bar", "class: inherited revocableProxyFor");
+    r.revoke();
+    assertThrows(/revoked/, function() { r.proxy.bar; });
+    var checked = Logger.checkedProxyFor({}, log);
+    checked.baz = 1;
+    assert(log.join() === "foo,bar,baz", "class: inherited checkedProxyFor");
+
+    class Lazy extends Handlers.LazyHandler {}
+    var lazy = Lazy.proxyFor({}, function() { return { foo: 1 }; });
+    assert(lazy.foo === 1 && Handlers.LazyHandler.isForced(lazy) &&
+           Lazy.isForced(lazy), "class: extends LazyHandler");
+
+    class Constant extends VirtualHandler {
+      getOwnPropertyDescriptor(target, name) {
+        return Reflect.getOwnPropertyDescriptor(target, name) ||
+          { value: 42, configurable: true };
+      }
+      getPrototypeOf(target) { return null; }
+    }
+    assert(Constant.proxyFor({}).foo === 42, "class: extends VirtualHandler");
+
+    function OldStyle() { DelegatingHandler.call(this); }
+    OldStyle.prototype = Object.create(ForwardingHandler.prototype);
+    assert(ForwardingHandler.proxyFor.call(OldStyle, {foo: 1}).foo === 1,
+           "prototype-based subclass still works");
+    assert(ForwardingHandler.prototype.constructor === ForwardingHandler,
+           "prototype.constructor is set");
+  }());
+
+  // test that the fast paths agree with the derived traps they replace
+  (function () {
+    function Hiding() {};
+    Hiding.prototype = Object.create(DelegatingHandler.prototype);
+    Hiding.prototype.getOwnPropertyDescriptor = function(target, name) {
+      if (name === "secret") { return undefined; }
+      return DelegatingHandler.prototype.getOwnPropertyDescriptor.call(
+        this, target, name);
+    };
+    Hiding.prototype.ownKeys = function(target) {
+      return DelegatingHandler.prototype.ownKeys.call(this, target).filter(
+        function(name) { return name !== "secret"; });
+    };
+
+    function makeTarget() {
+      var parent = { inherited: 1 };
+      return Object.create(parent, {
+        foo:    { value: 42, writable: true, enumerable: true,
+                  configurable: true },
+        secret: { value: 0, writable: true, enumerable: true,
+                  configurable: true },
+        self:   { get: function() { return this; }, enumerable: true,
+                  configurable: true }
+      });
+    }
+    var fast = DelegatingHandler.proxyFor(makeTarget());
+    var slow = DelegatingHandler.proxyFor.call(Hiding, makeTarget());
+
+    [fast, slow].forEach(function(p) {
+      var kind = p === fast ? "fast" : "slow";
+      assert(p.foo === 42 && p.inherited === 1 && p.self === p,
+             kind + " path get");
+      assert("foo" in p && "inherited" in p && !("bar" in p),
+             kind + " path has");
+      p.foo = 43;
+      p.inherited = 2;
+      assert(p.foo === 43 && Object.getPrototypeOf(p).inherited === 1 &&
+             Object.getOwnPropertyDescriptor(p, "inherited").value === 2,
+             kind + " path set");
+    });
+    var child = Object.create(fast);
+    child.foo = 44;
+    assert(fast.foo === 43 &&
+           Object.getOwnPropertyNames(child).join() === "foo",
+           "fast path set updates the receiver");
+    assert(fast.secret === 0 && "secret" in fast,
+           "fast path sees all properties");
+    assert(slow.secret === undefined && !("secret" in slow),
+           "overridden getOwnPropertyDescriptor disables the fast path");
+    assert(Object.keys(fast).indexOf("secret") !== -1 &&
+           Object.keys(slow).indexOf("secret") === -1,
+           "overridden ownKeys is honored by Object.keys");
+
+    var handler = new DelegatingHandler();
+    assert(handler.hasOwn(makeTarget(), "foo") &&
+           !handler.hasOwn(makeTarget(), "inherited"),
+           "fast path hasOwn");
+    assert(handler.keys(makeTarget()).join() === "foo,secret,self",
+           "fast path keys");
+    assert(new Hiding().keys(makeTarget()).join() === "foo,self",
+           "slow path keys");
+
+    function Point(x) { this.x = x; }
+    var P = DelegatingHandler.proxyFor(Point);
+    var pt = new P(1);
+    assert(pt instanceof Point && pt.x === 1, "fast path construct");
+
+    function Counting() { this.calls = 0; };
+    Counting.prototype = Object.create(DelegatingHandler.prototype);
+    Counting.prototype.apply = function(target, thisArg, args) {
+      this.calls++;
+      return DelegatingHandler.prototype.apply.call(this, target, thisArg,
+                                                    args);
+    };
+    class Shape { constructor(x) { this.x = x; } }
+    var S = DelegatingHandler.proxyFor.call(Counting, Shape);
+    class Square extends S {}
+    var sq = new Square(2);
+    var D = DelegatingHandler.proxyFor.call(Counting, Date);
+    assert(new S(1).x === 1 && sq instanceof Square && sq instanceof Shape &&
+           sq.x === 2 && new D(0).getTime() === 0,
+           "overridden apply: construct class and built-in targets");
+
+    function ThroughApply() { Counting.call(this); };
+    ThroughApply.prototype = Object.create(Counting.prototype);
+    ThroughApply.prototype.constructsThroughApply = true;
+    var counter = new ThroughApply();
+    var Q = new Proxy(Point, counter);
+    var q = new Q(3);
+    assert(q instanceof Point && q.x === 3 && counter.calls === 1,
+           "constructsThroughApply: construct calls the apply trap");
+  }());
+
+  // test VirtualArrayHandler derives an array from length and getItem
+  (function () {
+    var VirtualArrayHandler = Handlers.VirtualArrayHandler;
+    class Range extends VirtualArrayHandler {
+      constructor(n) { super(); this.n = n; }
+      length() { return this.n; }
+      getItem(i) { return i * 10; }
+    }
+    class Backed extends VirtualArrayHandler {
+      constructor(items) { super(); this.items = items; }
+      length() { return this.items.length; }
+      getItem(i) { return this.items[i]; }
+      setItem(i, value) { this.items[i] = value; }
+      truncate(n) { this.items.length = n; }
+    }
+
+    var r = Range.proxyFor([], 3);
+    assert(Array.isArray(r) && r.length === 3 && r[1] === 10,
+           "VirtualArrayHandler: isArray, length and items");
+    assert(r.map(function(x) { return x + 1; }).join() === "1,11,21" &&
+           Array.from(r).join() === "0,10,20" && JSON.stringify(r) === "[0,10,20]",
+           "VirtualArrayHandler: Array.prototype methods and iteration");
+    assert(1 in r && !(3 in r) && !("01" in r) && r["1.0"] === undefined,
+           "VirtualArrayHandler: canonical numeric keys");
+    var desc = Object.getOwnPropertyDescriptor(r, "0");
+    assert(desc.value === 0 && desc.enumerable && desc.configurable &&
+           !desc.writable, "VirtualArrayHandler: read-only index descriptor");
+    assert(Reflect.set(r, "0", 1) === false && r.push === Array.prototype.push,
+           "VirtualArrayHandler: cannot update without setItem");
+    assertThrows(/trap returned falsish/, function() { r.push(4); });
+
+    var tag = Symbol("tag");
+    r.extra = true;
+    r[tag] = 1;
+    r["01"] = 2;
+    assert(Reflect.ownKeys(r).map(String).join() ===
+             "0,1,2,length,extra,01,Symbol(tag)",
+           "VirtualArrayHandler: ownKeys ordering");
+
+    var items = ["a", "b"];
+    var b = Backed.proxyFor([], items);
+    b.push("c");
+    b[0] = "A";
+    assert(items.join() === "A,b,c" && b.length === 3,
+           "VirtualArrayHandler: push and set through setItem");
+    assert(b.pop() === "c" && items.length === 2,
+           "VirtualArrayHandler: pop through truncate");
+    b.length = 1;
+    assert(items.join() === "A", "VirtualArrayHandler: truncate via length");
+    assert(Reflect.set(b, "5", "x") === false &&
+           Reflect.set(b, "length", 4) === false &&
+           Reflect.deleteProperty(b, "length") === false,
+           "VirtualArrayHandler: no holes");
+    b.push("B");
+    assert(Reflect.deleteProperty(b, "0") === false,
+           "VirtualArrayHandler: cannot delete inner element");
+    assertThrows(/Invalid array length/, function() { b.length = -1; });
+    assert(Object.isFrozen(b) === false &&
+           Reflect.preventExtensions(b) === false,
+           "VirtualArrayHandler: stays extensible");
+
+    assertThrows("VirtualArrayHandler target must be an empty array",
+                 function() { Range.proxyFor({}, 1); });
+    assert(VirtualArrayHandler.checkedProxyFor.call(Backed, [], [1]).concat([2])
+             .join() === "1,2", "VirtualArrayHandler: checked proxy");
+  }());
+
+  // test StorageHandler maps properties onto a key-value adapter
+  (function () {
+    var StorageHandler = Handlers.StorageHandler;
+    var map = new Map([["a", 1]]);
+    var store = StorageHandler.proxyFor({}, new Handlers.MapAdapter(map));
+    store.b = 2;
+    assert(map.get("b") === 2 && store.a === 1 && "a" in store,
+           "StorageHandler: write-through to MapAdapter");
+    delete store.a;
+    assert(!map.has("a") && JSON.stringify(store) === '{"b":2}',
+           "StorageHandler: delete and enumerate entries");
+    assert(typeof store.toString === "function",
+           "StorageHandler: prototype taken from target");
+    store[10] = 0;
+    store[9] = 0;
+    assert(Object.keys(store).join() === "9,10,b",
+           "StorageHandler: keys in ordinary order");
+    delete store[9];
+    delete store[10];
+    assert(Reflect.defineProperty(store, "c", { value: 3 }) === false &&
+           Reflect.defineProperty(store, "b", { get: function() {} }) === false &&
+           Reflect.set(store, Symbol("s"), 1) === false &&
+           Reflect.preventExtensions(store) === false,
+           "StorageHandler: rejects properties it cannot store");
+    Object.defineProperty(store, "b", { value: 4 });
+    assert(map.get("b") === 4, "StorageHandler: redefine existing entry");
+
+    var flushes = 0;
+    var adapter = new Handlers.MapAdapter();
+    adapter.flush = function() { flushes++; };
+    var batched = StorageHandler.proxyFor(Object.create(null), adapter,
+                                          { flush: "batched" });
+    batched.x = 1;
+    batched.y = 2;
+    delete batched.x;
+    assert(adapter.keys().length === 0 && flushes === 0,
+           "StorageHandler: batched updates are buffered");
+    assert(batched.y === 2 && !("x" in batched) &&
+           Object.keys(batched).join() === "y",
+           "StorageHandler: reads see buffered updates");
+    StorageHandler.flush(batched);
+    assert(adapter.keys().join() === "y" && flushes === 1,
+           "StorageHandler: flush applies buffered updates");
+
+    var checked = StorageHandler.checkedProxyFor({}, new Handlers.MapAdapter(),
+                                                 { flush: "batched" });
+    checked.z = 3;
+    StorageHandler.flush(checked);
+    assert(checked.z === 3, "StorageHandler.checkedProxyFor can be flushed");
+
+    assertThrows("invalid flush option: sometimes", function() {
+      StorageHandler.proxyFor({}, adapter, { flush: "sometimes" });
+    });
+    assertThrows(/not a proxy created by StorageHandler.proxyFor/,
+                 function() { StorageHandler.flush({}); });
+
+    var fs = require("fs");
+    var path = require("path").join(require("os").tmpdir(),
+      "proxy-handlers-test-" + process.pid + ".json");
+    try {
+      var config = StorageHandler.proxyFor({},
+        new Handlers.FileAdapter(path), { flush: "batched" });
+      config.port = 8080;
+      assert(!fs.existsSync(path), "FileAdapter: batched write deferred");
+      StorageHandler.flush(config);
+      var reloaded = StorageHandler.proxyFor({}, new Handlers.FileAdapter(path));
+      assert(reloaded.port === 8080, "FileAdapter: entries persisted");
+      reloaded.host = "localhost";
+      assert(JSON.parse(fs.readFileSync(path, "utf8")).host === "localhost",
+             "FileAdapter: write-through");
+    } finally {
+      if (fs.existsSync(path)) { fs.unlinkSync(path); }
+    }
+  }());
+
+  // test compose stacks layers that call next
+  (function () {
+    var compose = Handlers.compose;
+    var logged = [];
+    var logging = {
+      defineProperty: function(next, target, name, desc) {
+        logged.push(name);
+        return next(target, name, desc);
+      }
+    };
+    var validating = {
+      defineProperty: function(next, target, name, desc) {
+        if ("value" in desc && typeof desc.value !== "number") {
+          throw new TypeError("not a number: " + name);
+        }
+        return next(target, name, desc);
+      }
+    };
+    var readOnly = {
+      defineProperty: function(next, target, name, desc) { return false; },
+      deleteProperty: function(next, target, name) { return false; }
+    };
+    var doubling = {
+      get: function(next, target, name, receiver) {
+        var value = next(target, name, receiver);
+        return typeof value === "number" ? value * 2 : value;
+      }
+    };
+
+    var p = compose(logging, validating, doubling).proxyFor({ foo: 1 });
+    p.foo = 2;
+    assert(logged.join() === "foo", "compose: set routes through each layer");
+    assert(p.foo === 4, "compose: derived trap layer calls next");
+    assertThrows("not a number: foo", function() { p.foo = "x"; });
+    assert(logged.join() === "foo,foo", "compose: outer layer runs first");
+
+    logged = [];
+    var r = compose(validating, logging, readOnly).revocableProxyFor({foo: 1});
+    assert(Reflect.set(r.proxy, "foo", 2) === false && r.proxy.foo === 1,
+           "compose: inner layer rejects update");
+    assert(logged.join() === "foo", "compose: layers above rejecting layer run");
+    logged = [];
+    assert(Reflect.set(compose(readOnly, logging).proxyFor({}), "foo", 2)
+             === false && logged.length === 0,
+           "compose: reordered layers");
+    assert(Reflect.deleteProperty(r.proxy, "foo") === false,
+           "compose: deleteProperty layer rejects delete");
+    r.revoke();
+    assertThrows(/revoked/, function() { r.proxy.foo; });
+
+    assertThrows("layer must be an object, got: 42",
+                 function() { compose(logging, 42); });
+  }());
+
+  // test checkedProxyFor reports invariant violations descriptively
+  (function () {
+    function Stash() { this.stash = {}; };
+    Stash.prototype = Object.create(DelegatingHandler.prototype);
+    Stash.prototype.defineProperty = function(target, name, desc) {
+      this.stash[name] = desc; // forgets to update the target
+      return true;
+    };
+
+    var target = Object.preventExtensions({});
+    var p = DelegatingHandler.checkedProxyFor.call(Stash, target);
+    assertThrows("proxy invariant violated by Stash.defineProperty for "+
+                 "property 'x' (via set → defineProperty): reported success "+
+                 "adding a property to the non-extensible target",
+                 function() { p.x = 1; });
+
+    function Constant() {};
+    Constant.prototype = Object.create(VirtualHandler.prototype);
+    Constant.prototype.getOwnPropertyDescriptor = function(target, name) {
+      return { value: 1, configurable: false };
+    };
+    // opt out of the shadow target VirtualHandler.proxyFor maintains
+    Constant.prototype.managesTarget = true;
+    var c = DelegatingHandler.checkedProxyFor.call(Constant, {});
+    assertThrows(/^proxy invariant violated by Constant.getOwnPropertyDescriptor for property 'foo' \(via get → getOwnPropertyDescriptor\)/,
+                 function() { c.foo; });
+    assertThrows(/for property Symbol\(Symbol.iterator\): reported a property as non-configurable/,
+                 function() {
+                   Object.getOwnPropertyDescriptor(c, Symbol.iterator);
+                 });
+
+    // valid trap results are passed through unchanged
+    var q = DelegatingHandler.checkedProxyFor.call(Stash, {});
+    Object.defineProperty(q, "y", { value: 2, configurable: true });
+    assert(q.y === undefined, 'checked handler forwards valid results');
+
+    DelegatingHandler.checkInvariants = true;
+    try {
+      var r = DelegatingHandler.proxyFor.call(Stash, Object.preventExtensions({}));
+      assertThrows(/^proxy invariant violated by Stash.defineProperty/,
+                   function() { r.x = 1; });
+    } finally {
+      DelegatingHandler.checkInvariants = false;
+    }
+  }());
+
+  // test Membrane wraps transitively, preserves identity, revokes all
+  (function () {
+    var Membrane = Handlers.Membrane;
+    var MembraneHandler = Handlers.MembraneHandler;
+
+    function Point(x) { this.x = x; }
+    Point.prototype.double = function() { return this.x * 2; };
+    var wet = {
+      nested: { y: 1 },
+      list: [1, 2, 3],
+      echo: function(arg) { return { arg: arg, self: this }; },
+      Point: Point,
+      fixed: Object.freeze({ inner: {} }),
+      fail: function() { throw wetError; }
+    };
+    var wetError = { reason: "wet" };
+
+    var membrane = new Membrane();
+    var dry = membrane.dry(wet);
+    assert(dry.nested !== wet.nested, 'membrane wraps property values');
+    assert(dry.nested === dry.nested, 'membrane preserves identity');
+    assert(dry.nested.y === 1, 'membrane forwards primitives');
+    var dryArg = {};
+    var result = dry.echo(dryArg);
+    assert(result.arg === dryArg, 'dry argument unwrapped on return');
+    assert(result.self === dry, 'this-binding preserved across membrane');
+    assert(Array.isArray(dry.list) && dry.list.join() === "1,2,3",
+           'membrane proxy for array is an array');
+    var p = new dry.Point(3);
+    assert(p instanceof dry.Point && p.double() === 6,
+           'membrane supports construct');
+    assert(Object.getPrototypeOf(p) === dry.Point.prototype,
+           'membrane wraps prototypes');
+    assert(Object.isFrozen(dry.fixed) &&
+           dry.fixed.inner === dry.fixed.inner,
+           'membrane wraps frozen objects');
+    dry.added = dryArg;
+    assert(wet.added !== dryArg && dry.added === dryArg,
+           'assigned dry values are wrapped on the wet side');
+    var caught;
+    try { dry.fail(); } catch (e) { caught = e; }
+    assert(caught !== wetError && membrane.wet(caught) === wetError &&
+           caught.reason === "wet", 'membrane wraps exceptions');
+
+    membrane.revoke();
+    assertThrows("cannot perform 'getOwnPropertyDescriptor' on a proxy "+
+                 "whose membrane has been revoked",
+                 function() { dry.nested; });
+    assertThrows(/revoked/, function() { result.self; });
+    assertThrows(/revoked/, function() { p.double(); });
+    ["proxyFor", "revocableProxyFor", "checkedProxyFor"].forEach(function(f) {
+      assertThrows("MembraneHandler proxies are created by a Membrane: "+
+                   "use membrane.dry(value) or membrane.wet(value)",
+                   function() { MembraneHandler[f]({}); });
+    });
+
+    // subclassing the per-object handler
+    var accessed = [];
+    function SpyHandler(membrane, target, side) {
+      MembraneHandler.call(this, membrane, target, side);
+    }
+    SpyHandler.prototype = Object.create(MembraneHandler.prototype);
+    SpyHandler.prototype.getOwnPropertyDescriptor = function(shadow, name) {
+      accessed.push(name);
+      return MembraneHandler.prototype.getOwnPropertyDescriptor.call(
+        this, shadow, name);
+    };
+    var spied = new Membrane(SpyHandler).dry(wet);
+    spied.nested.y;
+    assert(accessed.join() === "nested,y",
+           'membrane handler subclass applies transitively');
+  }());
+
+  // test ReadOnlyHandler provides deep read-only views
+  (function () {
+    var ReadOnlyHandler = Handlers.ReadOnlyHandler;
+    var state = {
+      nested: { count: 1 },
+      list: [1, 2],
+      fixed: Object.freeze({ inner: { x: 1 } }),
+      make: function() { return { fresh: true }; }
+    };
+    var view = ReadOnlyHandler.proxyFor(state);
+
+    assert(view.nested === view.nested, 'ReadOnlyHandler caches views');
+    assert(view.nested !== state.nested && view.nested.count === 1,
+           'ReadOnlyHandler wraps nested objects');
+    view.nested.count = 2; // sloppy mode: ignored
+    assert(state.nested.count === 1, 'ReadOnlyHandler ignores sloppy set');
+    assertThrows(/falsish/, function() {
+      "use strict";
+      view.nested.count = 2;
+    });
+    delete view.nested;
+    assert("nested" in view, 'ReadOnlyHandler rejects deleteProperty');
+    assertThrows(/falsish/, function() {
+      Object.defineProperty(view, "added", { value: 1 });
+    });
+    assertThrows(/falsish/, function() { Object.setPrototypeOf(view, null); });
+    assertThrows(/falsish/, function() { Object.preventExtensions(view); });
+    assertThrows(/falsish/, function() { view.list.push(3); });
+    assert(state.list.length === 2, 'ReadOnlyHandler rejects mutating methods');
+    assertThrows(/falsish/, function() {
+      "use strict";
+      view.make().fresh = false;
+    });
+    assert(Object.isFrozen(view.fixed) &&
+           view.fixed.inner === view.fixed.inner,
+           'ReadOnlyHandler wraps frozen objects');
+
+    state.nested.count = 3;
+    assert(view.nested.count === 3, 'ReadOnlyHandler reflects owner updates');
+    assert(ReadOnlyHandler.proxyFor(state).nested !== view.nested,
+           'ReadOnlyHandler caches views per root');
+
+    var r = ReadOnlyHandler.revocableProxyFor(state);
+    var nested = r.proxy.nested;
+    assert(nested.count === 3 && !Reflect.set(r.proxy, "x", 1),
+           'ReadOnlyHandler.revocableProxyFor');
+    r.revoke();
+    assertThrows(/revoked/, function() { r.proxy.nested; });
+    assertThrows(/revoked/, function() { nested.count; });
+
+    var checked = ReadOnlyHandler.checkedProxyFor(state);
+    assert(checked.nested.count === 3 && Object.keys(checked).length === 4 &&
+           !Reflect.defineProperty(checked.nested, "x", { value: 1 }),
+           'ReadOnlyHandler.checkedProxyFor');
+
+    // reads through built-in iterators and methods work, writes do not
+    var entry = { id: 1 };
+    var builtins = ReadOnlyHandler.proxyFor({
+      list: [1, 2, 3],
+      date: new Date(0),
+      map: new Map([["k", entry]]),
+      set: new Set([1, 2])
+    });
+    var iterated = [];
+    for (var item of builtins.list) { iterated.push(item); }
+    assert([...builtins.list].join() === "1,2,3" &&
+           Array.from(builtins.list).join() === "1,2,3" &&
+           iterated.join() === "1,2,3",
+           "ReadOnlyHandler: spread, Array.from and for-of on array views");
+    assert(builtins.list.slice(1).join() === "2,3" &&
+           builtins.list.map(function(x) { return x * 2; }).join() ===
+             "2,4,6" &&
+           builtins.list.concat([4]).length === 4,
+           "ReadOnlyHandler: slice, map and concat on array views");
+    assert(builtins.date.getTime() === 0 &&
+           JSON.parse(JSON.stringify(builtins)).date ===
+             "1970-01-01T00:00:00.000Z",
+           "ReadOnlyHandler: Date getters and JSON on views");
+    var got = builtins.map.get("k");
+    assert(builtins.map.size === 1 && builtins.map.has("k") &&
+           got.id === 1 && got !== entry &&
+           [...builtins.map][0][1] === got &&
+           [...builtins.set].join() === "1,2" && builtins.set.has(2),
+           "ReadOnlyHandler: Map and Set reads on views return views");
+    assertThrows(/falsish/, function() { builtins.list.push(4); });
+    assertThrows(/incompatible receiver/, function() {
+      builtins.map.set("k", 2);
+    });
+    assertThrows(/incompatible receiver/, function() { builtins.set.add(3); });
+    got.id = 2;
+    assert(builtins.list.length === 3 && entry.id === 1 &&
+           builtins.map.get("k") === got,
+           "ReadOnlyHandler: push, Map#set and Set#add are rejected");
+
+    function Point(x) { this.x = x; }
+    var point = new (ReadOnlyHandler.proxyFor({ Point: Point }).Point)(1);
+    point.x = 2;
+    assert(point.x === 2 && Object.keys(point).join() === "x",
+           "ReadOnlyHandler: constructed objects are not wrapped");
+  }());
+
+  // test PolicyHandler hides and restricts properties consistently
+  (function () {
+    var PolicyHandler = Handlers.PolicyHandler;
+    var tag = Symbol("tag");
+    var denials = [];
+    var target = {
+      _secret: "s", id: 1, name: "n",
+      run: function() { return "ran"; }
+    };
+    target[tag] = "t";
+    var p = PolicyHandler.proxyFor(target, {
+      rules: [
+        { match: /^_/, allow: [] },
+        { match: "id", allow: ["read"] },
+        { match: tag, allow: ["read", "enumerate"] },
+        { match: "run", allow: ["read", "enumerate"] }
+      ],
+      audit: function(denial) {
+        denials.push(denial.operation + " " + String(denial.key));
+      }
+    });
+
+    assert(p._secret === undefined && !("_secret" in p) &&
+           Object.getOwnPropertyDescriptor(p, "_secret") === undefined,
+           'PolicyHandler hides properties');
+    assert(Reflect.ownKeys(p).indexOf("_secret") === -1,
+           'PolicyHandler hides properties from ownKeys');
+    var enumerated = [];
+    for (var name in p) { enumerated.push(name); }
+    assert(enumerated.join() === "name,run" &&
+           Object.keys(p).join() === "name,run",
+           'PolicyHandler hides non-enumerable properties from keys');
+    p.id = 2;
+    assert(target.id === 1, 'PolicyHandler denies write');
+    p.name = "m";
+    assert(target.name === "m", 'PolicyHandler allows write');
+    delete p[tag];
+    assert(target[tag] === "t", 'PolicyHandler denies delete for symbol');
+    assertThrows(/falsish/, function() {
+      Object.defineProperty(p, "id", { value: 3 });
+    });
+    assertThrows("PolicyHandler denied call to 'run'",
+                 function() { p.run(); });
+    assert(p.run === p.run, 'PolicyHandler call guard is cached');
+    assert(denials.indexOf("write id") !== -1 &&
+           denials.indexOf("delete Symbol(tag)") !== -1 &&
+           denials.indexOf("define id") !== -1 &&
+           denials.indexOf("call run") !== -1,
+           'PolicyHandler audits denials');
+
+    var fixed = Object.defineProperty({}, "_fixed", { value: 1 });
+    assertThrows("PolicyHandler cannot hide non-configurable property '_fixed'",
+                 function() {
+                   PolicyHandler.proxyFor(fixed, {
+                     rules: [{ match: /^_/, allow: [] }]
+                   });
+                 });
+  }());
+
+  // test ObservableHandler reports changes with deep paths
+  (function () {
+    var ObservableHandler = Handlers.ObservableHandler;
+    var target = { count: 0, todos: ["a"], user: { name: "x" } };
+    var state = ObservableHandler.proxyFor(target);
+    var records = [];
+    var listener = function(record) { records.push(record); };
+    ObservableHandler.observe(state, listener);
+    function summary() {
+      var result = records.map(function(r) {
+        return r.type + " " + r.path.join(".") + " " +
+               String(r.oldValue) + "->" + String(r.newValue);
+      }).join(", ");
+      records = [];
+      return result;
+    }
+
+    state.count = 1;
+    state.count = 1;
+    state.extra = true;
+    delete state.extra;
+    assert(summary() ===
+             "update count 0->1, add extra undefined->true, " +
+             "delete extra true->undefined",
+           "ObservableHandler: add, update and delete records");
+
+    state.todos.push("b");
+    state.user.name = "y";
+    assert(summary() ===
+             "add todos.1 undefined->b, update todos.length 1->2, " +
+             "update user.name x->y",
+           "ObservableHandler: nested paths");
+    assert(state.todos === state.todos && state.todos !== target.todos &&
+           records.length === 0, "ObservableHandler: nested views are cached");
+
+    Object.defineProperty(state, "count", { enumerable: false });
+    var proto = { inherited: true };
+    Object.setPrototypeOf(state, proto);
+    assert(records[0].type === "reconfigure" &&
+           records[0].oldDescriptor.enumerable === true &&
+           records[0].newDescriptor.enumerable === false &&
+           records[1].type === "setPrototype" && records[1].path.length === 0 &&
+           records[1].newValue === proto && records[1].object === state,
+           "ObservableHandler: reconfigure and setPrototype records");
+    records = [];
+
+    state.copy = state.user;
+    assert(target.copy === target.user, "ObservableHandler: stores targets");
+    state.copy.name = "z";
+    assert(summary() === "add copy undefined->[object Object], " +
+                         "update copy.name y->z",
+           "ObservableHandler: path through which an object is reached");
+
+    ObservableHandler.suspend(state);
+    state.count = 2;
+    ObservableHandler.resume(state);
+    assert(records.length === 0 && target.count === 2,
+           "ObservableHandler: suspend discards records");
+    assertThrows("ObservableHandler.resume without suspend",
+                 function() { ObservableHandler.resume(state); });
+
+    ObservableHandler.unobserve(state, listener);
+    state.count = 3;
+    assert(records.length === 0, "ObservableHandler: unobserve");
+
+    var batches = [];
+    ObservableHandler.observe(state.todos, function(batch) {
+      batches.push(batch);
+    }, { batched: true });
+    state.todos.push("c");
+    state.todos.push("d");
+    state.count = 4;
+    assert(batches.length === 0, "ObservableHandler: batched delivery deferred");
+    Promise.resolve().then(function() {
+      assert(batches.length === 1 && batches[0].length === 4 &&
+             batches[0][0].path.join(".") === "todos.2",
+             "ObservableHandler: batched delivery in a microtask");
+    });
+    assertThrows(/not a proxy created by ObservableHandler.proxyFor/,
+                 function() { ObservableHandler.observe({}, listener); });
+
+    var failing = ObservableHandler.proxyFor({});
+    var delivered = [];
+    ObservableHandler.observe(failing, function() { throw new Error("one"); });
+    ObservableHandler.observe(failing, function() { throw new Error("two"); });
+    ObservableHandler.observe(failing, function(record) {
+      delivered.push(record.name);
+    });
+    assertThrows("one", function() { failing.x = 1; });
+    assert(delivered.join() === "x" && Object.keys(failing).join() === "x",
+           "ObservableHandler: a throwing listener does not stop delivery");
+
+    var dropped = [];
+    var dropping = ObservableHandler.proxyFor({});
+    var dropListener = function(batch) { dropped.push(batch); };
+    ObservableHandler.observe(dropping, dropListener, { batched: true });
+    dropping.x = 1;
+    ObservableHandler.unobserve(dropping, dropListener);
+    Promise.resolve().then(function() {
+      assert(dropped.length === 0,
+             "ObservableHandler: no batched delivery after unobserve");
+    });
+
+    var changes = [];
+    var r = ObservableHandler.revocableProxyFor({ nested: { x: 1 } });
+    ObservableHandler.observe(r.proxy, function(record) {
+      changes.push(record.path.join("."));
+    });
+    var nested = r.proxy.nested;
+    nested.x = 2;
+    assert(changes.join() === "nested.x",
+           "ObservableHandler.revocableProxyFor reports changes");
+    r.revoke();
+    assertThrows(/revoked/, function() { nested.x = 3; });
+
+    var checked = ObservableHandler.checkedProxyFor({ nested: { x: 1 } });
+    ObservableHandler.observe(checked, function(record) {
+      changes.push(record.path.join("."));
+    });
+    checked.nested.x = 2;
+    delete checked.nested;
+    assert(changes.join() === "nested.x,nested.x,nested",
+           "ObservableHandler.checkedProxyFor reports changes");
+  }());
+
+  // test TransactionHandler layers changes until commit or rollback
+  (function () {
+    var TransactionHandler = Handlers.TransactionHandler;
+    var form = { name: "a", nickname: "b" };
+    Object.defineProperty(form, "id", { value: 1, writable: true,
+                                        enumerable: true });
+    var draft = TransactionHandler.proxyFor(form);
+    draft.name = "A";
+    delete draft.nickname;
+    draft.email = "a@b.c";
+    draft.id = 2;
+    assert(form.name === "a" && form.nickname === "b" && !("email" in form) &&
+           form.id === 1, "TransactionHandler: target left alone");
+    assert(draft.name === "A" && !("nickname" in draft) &&
+           Object.keys(draft).join() === "name,id,email",
+           "TransactionHandler: merged view with tombstones");
+    var keys = [];
+    for (var key in draft) { keys.push(key); }
+    assert(keys.join() === "name,id,email", "TransactionHandler: for-in");
+    var indexed = TransactionHandler.proxyFor({ 1: "b", name: "n" });
+    indexed.x = 1;
+    indexed[0] = "a";
+    assert(Object.keys(indexed).join() === "0,1,name,x",
+           "TransactionHandler: integer keys of the draft come first");
+    assert(TransactionHandler.diff(draft).map(function(r) {
+             return r.type + " " + r.name + " " + r.newValue;
+           }).join() ===
+           "update name A,delete nickname undefined,add email a@b.c,update id 2",
+           "TransactionHandler: diff");
+
+    assert(Reflect.deleteProperty(draft, "id") === false &&
+           Reflect.defineProperty(draft, "fixed", { value: 1 }) === false &&
+           Reflect.defineProperty(draft, "id", { writable: false }) === false &&
+           Reflect.preventExtensions(draft) === false,
+           "TransactionHandler: rejects changes it cannot roll back");
+
+    TransactionHandler.rollback(draft);
+    assert(draft.name === "a" && "nickname" in draft &&
+           TransactionHandler.diff(draft).length === 0,
+           "TransactionHandler: rollback");
+
+    draft.name = "B";
+    var proto = { greet: function() { return "hi " + this.name; } };
+    Object.setPrototypeOf(draft, proto);
+    assert(draft.greet() === "hi B" && Object.getPrototypeOf(form) !==
+           proto, "TransactionHandler: layered prototype");
+
+    var nested = TransactionHandler.proxyFor(draft);
+    nested.name = "C";
+    delete nested.nickname;
+    TransactionHandler.rollback(nested);
+    assert(nested.name === "B" && "nickname" in nested,
+           "TransactionHandler: nested rollback");
+    nested.name = "D";
+    TransactionHandler.commit(nested);
+    assert(draft.name === "D" && form.name === "a",
+           "TransactionHandler: nested commit goes to the outer layer");
+    draft.name = "a";
+    assert(TransactionHandler.diff(draft).map(function(r) { return r.type; })
+             .join() === "setPrototype",
+           "TransactionHandler: undone changes are not reported");
+
+    TransactionHandler.commit(draft);
+    assert(form.name === "a" && Object.getPrototypeOf(form) === proto &&
+           TransactionHandler.diff(draft).length === 0,
+           "TransactionHandler: commit");
+    draft.extra = 1;
+    Object.preventExtensions(form);
+    assertThrows("cannot commit definition of property 'extra'",
+                 function() { TransactionHandler.commit(draft); });
+    assertThrows(/not a proxy created by TransactionHandler.proxyFor/,
+                 function() { TransactionHandler.commit(form); });
+
+    var record = { status: "new" };
+    var checked = TransactionHandler.checkedProxyFor(record);
+    checked.status = "done";
+    assert(record.status === "new" &&
+           TransactionHandler.diff(checked).length === 1,
+           "TransactionHandler.checkedProxyFor buffers changes");
+    TransactionHandler.commit(checked);
+    assert(record.status === "done",
+           "TransactionHandler.checkedProxyFor can be committed");
+  }());
+
+  // test SchemaHandler validates definitions and assignments
+  (function () {
+    var SchemaHandler = Handlers.SchemaHandler;
+    var SchemaError = Handlers.SchemaError;
+    var schema = {
+      strict: true,
+      properties: {
+        id:      { type: "number", readonly: true },
+        name:    { type: "string", required: true,
+                   check: function(s) { return s.length > 0 || "empty"; } },
+        role:    { enum: ["user", "admin"] },
+        age:     { type: "number", nullable: true },
+        address: { properties: { zip: "string", city: "string" } }
+      }
+    };
+    function errorOf(fn) {
+      try { fn(); } catch (e) { return e; }
+    }
+
+    var user = SchemaHandler.proxyFor({ id: 1, name: "x" }, schema);
+    user.role = "admin";
+    user.age = null;
+    user.address = { zip: "1000" };
+    user.address.city = "Brussels";
+    assert(user.role === "admin" && user.address.city === "Brussels",
+           "SchemaHandler: valid updates");
+
+    var e = errorOf(function() { user.name = 42; });
+    assert(e instanceof SchemaError && e instanceof TypeError &&
+           e.reason === "type" && e.path.join() === "name" && e.value === 42 &&
+           e.message === "invalid property 'name': expected string, got number",
+           "SchemaHandler: structured type error");
+    assert(errorOf(function() { user.address.zip = 1000; }).path.join(".") ===
+             "address.zip", "SchemaHandler: nested path");
+    assert(errorOf(function() { user.role = "root"; }).reason === "enum" &&
+           errorOf(function() { user.name = ""; }).message ===
+             "invalid property 'name': empty" &&
+           errorOf(function() { user.id = 2; }).reason === "readonly" &&
+           errorOf(function() { delete user.name; }).reason === "required" &&
+           errorOf(function() { user.extra = 1; }).reason === "unknown" &&
+           errorOf(function() { user.address.extra = 1; }).reason === "unknown" &&
+           errorOf(function() { user.address = { zip: 1 }; }).path.join(".") ===
+             "address.zip" &&
+           errorOf(function() {
+             Object.defineProperty(user, "age", { get: function() {} });
+           }).reason === "accessor",
+           "SchemaHandler: enum, check, readonly, required, unknown, accessor");
+    assert(user.name === "x" && user.id === 1 && !("extra" in user),
+           "SchemaHandler: rejected updates have no effect");
+    user.id = 1;
+    assert(user.id === 1 && Reflect.defineProperty(user, "id", { value: 1 }) &&
+           errorOf(function() {
+             Object.defineProperty(user, "id", { value: 1, enumerable: false });
+           }).reason === "readonly",
+           "SchemaHandler: readonly accepts writes of the current value");
+
+    var other = SchemaHandler.proxyFor({ id: 2, name: "y" }, schema);
+    other.address = user.address;
+    assert(Object.getOwnPropertyDescriptor(other, "address").value ===
+             Object.getOwnPropertyDescriptor(user, "address").value,
+           "SchemaHandler: stores objects rather than their views");
+
+    assert(errorOf(function() {
+             SchemaHandler.proxyFor({ id: 1 }, schema);
+           }).reason === "required",
+           "SchemaHandler: target validated on creation");
+
+    var loose = SchemaHandler.proxyFor({ count: "1" }, {
+      coerce: true,
+      properties: { count: "number", flag: "boolean", label: "string" }
+    });
+    loose.flag = "false";
+    loose.label = 7;
+    loose.other = "kept";
+    assert(loose.count === 1 && loose.flag === false && loose.label === "7" &&
+           loose.other === "kept", "SchemaHandler: coerce mode");
+    assert(errorOf(function() { loose.count = "abc"; }).reason === "type",
+           "SchemaHandler: coerce mode rejects unconvertible values");
+
+    var r = SchemaHandler.revocableProxyFor({ id: 2, name: "y" }, schema);
+    r.proxy.address = { zip: "1000" };
+    var address = r.proxy.address;
+    assert(errorOf(function() { address.zip = 1000; }).reason === "type",
+           "SchemaHandler.revocableProxyFor validates");
+    r.revoke();
+    assertThrows(/revoked/, function() { address.zip; });
+
+    var checked = SchemaHandler.checkedProxyFor({ id: 3, name: "z" }, schema);
+    checked.address = { zip: "1000" };
+    checked.address.city = "Ghent";
+    assert(checked.address.city === "Ghent" &&
+           errorOf(function() { checked.age = "old"; }).reason === "type",
+           "SchemaHandler.checkedProxyFor validates");
+  }());
+
+  // test TracingHandler records nested traps and replays them
+  (function () {
+    var TracingHandler = Handlers.TracingHandler;
+    var TraceLog = Handlers.TraceLog;
+
+    var log = new TraceLog();
+    var p = TracingHandler.proxyFor({ foo: 1 }, log);
+    p.foo = 2;
+    var set = log.entries[log.entries.length - 1];
+    assert(set.trap === "set" && set.key === "foo" && set.depth === 0 &&
+           set.result === true && typeof set.timestamp === "number",
+           'TracingHandler records outer trap');
+    var define = log.entries.filter(function(entry) {
+      return entry.trap === "defineProperty";
+    })[0];
+    assert(define.depth === 1 && define.args[1].value === 2,
+           'TracingHandler records nested fundamental trap');
+
+    log.clear();
+    var entries = [];
+    var q = TracingHandler.proxyFor(Object.freeze({ bar: 1 }),
+                                    function(entry) { entries.push(entry); },
+                                    new ForwardingHandler());
+    assertThrows(/bar/, function() {
+      "use strict";
+      q.bar = 3;
+    });
+    assert(entries[entries.length - 1].trap === "set" &&
+           entries[entries.length - 1].result === false,
+           'TracingHandler records to function sink');
+    assert(log.entries.length === 0, 'TracingHandler sinks are separate');
+
+    var r = TracingHandler.proxyFor({}, log);
+    r[Symbol.iterator] = undefined;
+    Object.defineProperty(r, "baz", { value: NaN, enumerable: true });
+    delete r.missing;
+    var json = JSON.stringify(log);
+    var entry = JSON.parse(json)[0];
+    assert(entry.key.$symbol === "@@iterator",
+           'TraceLog encodes symbols as JSON');
+    var fresh = {};
+    var outcomes = TraceLog.fromJSON(json).replay(fresh);
+    assert(outcomes.map(function(o) { return o.trap; }).join() ===
+           "set,defineProperty,deleteProperty",
+           'TraceLog replays outermost operations');
+    assert(Symbol.iterator in fresh && isNaN(fresh.baz),
+           'TraceLog replay reproduces operations on fresh target');
+
+    log.clear();
+    var anonymous = Symbol(), other = Symbol();
+    var u = TracingHandler.proxyFor({}, log);
+    u[anonymous] = 1;
+    u[other] = 2;
+    u[anonymous] = 3;
+    json = JSON.stringify(log);
+    var keys = JSON.parse(json).filter(function(e) {
+      return e.trap === "set";
+    }).map(function(e) { return e.key; });
+    assert(keys[0].$symbol === null && keys[0].id === 0 &&
+           keys[1].id === 1 && keys[2].id === 0,
+           'TraceLog numbers symbols without a description');
+    var decoded = TraceLog.fromJSON(json).entries.filter(function(e) {
+      return e.trap === "set";
+    }).map(function(e) { return e.key; });
+    assert(typeof decoded[0] === "symbol" && decoded[0] === decoded[2] &&
+           decoded[0] !== decoded[1] && decoded[0] !== anonymous,
+           'TraceLog round-trips symbols without a description');
+    fresh = {};
+    TraceLog.fromJSON(json).replay(fresh);
+    assert(Object.getOwnPropertySymbols(fresh).map(function(sym) {
+             return fresh[sym];
+           }).join() === "3,2",
+           'TraceLog replays symbols without a description');
+
+    class Defaulting extends TracingHandler {
+      get(target, name, receiver) {
+        return name in target ? super.get(target, name, receiver) : 0;
+      }
+      record(entry) {
+        if (entry.depth === 0) {
+          super.record(entry);
+        }
+      }
+    }
+    assert(new Defaulting(log) instanceof TracingHandler,
+           'TracingHandler subclass instanceof');
+    log.clear();
+    var s = Defaulting.checkedProxyFor({ a: 1 }, log);
+    s.b = 2;
+    assert(s.a === 1 && s.missing === 0,
+           'TracingHandler subclass overrides get');
+    assert(log.entries.map(function(e) { return e.trap; }).join() ===
+           "set,get,get", 'TracingHandler subclass overrides record');
+    var revocable = Defaulting.revocableProxyFor({}, log);
+    revocable.revoke();
+    assertThrows(/revoked/, function() { revocable.proxy.x; });
+
+    // a custom sink layered on a subclass tracing a ForwardingHandler
+    class KeyLog extends TraceLog {
+      record(entry) {
+        if ('key' in entry) {
+          super.record(entry);
+        }
+      }
+      keys() {
+        return this.entries.map(function(e) { return String(e.key); });
+      }
+    }
+    class Forwarder extends ForwardingHandler {
+      get(target, name, receiver) {
+        return name === "secret" ? undefined :
+                                   super.get(target, name, receiver);
+      }
+    }
+    var keyLog = new KeyLog();
+    var t = Defaulting.proxyFor({ secret: 1, open: 2 }, keyLog,
+                                new Forwarder());
+    assert(t.secret === undefined && t.open === 2 && keyLog.keys().join() ===
+           "secret,open", 'TracingHandler traces a handler subclass');
+    var copy = KeyLog.fromJSON(JSON.stringify(keyLog));
+    assert(copy instanceof KeyLog && copy.keys().join() === "secret,open",
+           'TraceLog.fromJSON on a subclass');
+  }());
+
+  // test RemoteConnection forwards operations over a MessageChannel
+  (function () {
+    var RemoteConnection = Handlers.RemoteConnection;
+    var workerThreads;
+    try {
+      workerThreads = require("worker_threads");
+    } catch (e) {
+      print("skipped RemoteConnection tests: worker_threads is unavailable");
+      return;
+    }
+    var channel = new workerThreads.MessageChannel();
+    var count = 0;
+    var secret = Symbol("secret");
+    var api = {
+      counter: { increment: function() { return ++count; } },
+      list: [1, 2],
+      twice: function(f, x) { return f(f(x)); },
+      Point: function Point(x) { this.x = x; },
+      fail: function() { throw new RangeError("out of range"); },
+      throwValue: function() { throw api.counter; },
+      secret: secret
+    };
+    api[secret] = "hidden";
+    var server, client;
+    server = new RemoteConnection(channel.port1, api,
+                                  { wait: function() { client.drain(); } });
+    client = new RemoteConnection(channel.port2, undefined,
+                                  { wait: function() { server.drain(); } });
+
+    var remote = client.root();
+    assert(remote.counter.increment() === 1 && count === 1,
+           "RemoteConnection: synchronous method call");
+    assert(remote.counter === remote.counter && remote !== api,
+           "RemoteConnection: references preserve identity");
+    assert(Array.isArray(remote.list) && remote.list.length === 2 &&
+           JSON.stringify(remote.list) === "[1,2]",
+           "RemoteConnection: remote arrays");
+    assert(remote.twice(function(x) { return x * 3; }, 2) === 18,
+           "RemoteConnection: callbacks into the client");
+    var p = new remote.Point(4);
+    assert(p.x === 4 && p instanceof remote.Point,
+           "RemoteConnection: construct");
+    remote.extra = { nested: true };
+    assert(api.extra.nested === true && "extra" in remote &&
+           typeof api.extra === "object",
+           "RemoteConnection: set passes objects by reference");
+    assert(remote.twice(function(x) { return x === api.counter; }, api.counter)
+             === false,
+           "RemoteConnection: local objects are passed as proxies");
+    assert(remote[remote.secret] === "hidden" &&
+           Reflect.ownKeys(remote).indexOf(remote.secret) !== -1,
+           "RemoteConnection: symbols by reference");
+    delete remote.extra;
+    assert(!("extra" in api), "RemoteConnection: deleteProperty");
+    assertThrows("out of range", function() { remote.fail(); });
+    try {
+      remote.throwValue();
+    } catch (e) {
+      assert(e === remote.counter, "RemoteConnection: thrown by reference");
+    }
+    Object.freeze(remote.list);
+    assert(Object.isFrozen(api.list) && Object.isFrozen(remote.list),
+           "RemoteConnection: non-extensible remote objects");
+
+    client.eventual(remote.counter).increment().then(function(result) {
+      assert(result === 2, "RemoteConnection: eventual send");
+      return client.send(remote, "get", "list");
+    }).then(function(list) {
+      assert(list === remote.list, "RemoteConnection: send get");
+      return client.eventual(remote).fail();
+    }).then(function() {
+      assert(false, "RemoteConnection: eventual send rejects");
+    }, function(e) {
+      assert(e instanceof RangeError && e.message === "out of range",
+             "RemoteConnection: eventual send rejects");
+    }).then(function() {
+      client.close();
+      server.close();
+    });
+    assertThrows("not a remote reference of this connection",
+                 function() { client.eventual(api); });
+
+    // a request to an unresponsive side times out
+    var silent = new workerThreads.MessageChannel();
+    var waiting = new RemoteConnection(silent.port1, undefined,
+                                       { timeout: 20, wait: function() {} });
+    assertThrows("remote root request timed out after 20 ms", function() {
+      waiting.root();
+    });
+    assert(waiting.pending.size === 0,
+           "RemoteConnection: timed out requests are not pending");
+    waiting.rootAsync().then(function() {
+      assert(false, "RemoteConnection: eventual request times out");
+    }, function(e) {
+      assert(e.message === "remote root request timed out after 20 ms",
+             "RemoteConnection: eventual request times out");
+      waiting.close();
+      silent.port2.close();
+    });
+
+    // closing one side fails the pending requests of the other
+    var closing = new workerThreads.MessageChannel();
+    var peer = new RemoteConnection(closing.port1, {});
+    var requester = new RemoteConnection(closing.port2, undefined,
+                                         { wait: function() { peer.close(); } });
+    assertThrows("connection closed by the remote side", function() {
+      requester.root();
+    });
+    assertThrows("connection closed", function() { requester.root(); });
+  }());
+
   // assert ForwardingHandler is necessary to wrap objects with private state,
   // such as Date
   (function() {
@@ -250,8 +1517,10 @@ function test() {
     assert(p.foo === 42, "p.foo === 42 for LazyObject");
 
     p.foo = 43;
-    assert(p.foo === 42, "p.foo still 42 after update for LazyObject");
     assert(dummyTarget.foo === 43, "dummyTarget.foo === 43");
+    // the update defined a non-configurable "foo" on the dummy target,
+    // which the lazy object's descriptor for "foo" now contradicts:
+    assertThrows(/non-configurable/, function() { p.foo; });
   }());
 
 
@@ -286,7 +1555,7 @@ function test() {
 
     assert(p.foo === 42, "p.foo === 42 for LazyObject");
 
-    assertThrows("getPrototypeOf not implemented",
+    assertThrows("defineProperty not implemented",
                  function() { p.foo = 43; });
   }());
 
@@ -330,6 +1599,602 @@ function test() {
     assert(p.foo === 43, "p.foo === 43 after update for LazyObject");
   }());
 
+  // RedirectingHandler
+  (function() {
+    var RedirectingHandler = Handlers.RedirectingHandler;
+    var v1 = { version: 1 };
+    var v2 = { version: 2 };
+    var swaps = [];
+    var p = RedirectingHandler.proxyFor({}, v1);
+    var listener = function(newTarget, oldTarget) {
+      swaps.push([newTarget, oldTarget]);
+    };
+    RedirectingHandler.addSwapListener(p, listener);
+
+    assert(p.version === 1, "RedirectingHandler forwards to backing object");
+    RedirectingHandler.setTarget(p, v2);
+    assert(p.version === 2 && RedirectingHandler.getTarget(p) === v2,
+           "RedirectingHandler forwards to new backing object");
+    p.extra = true;
+    assert(v2.extra === true && !("extra" in v1),
+           "RedirectingHandler updates current backing object");
+    assert(swaps.length === 1 && swaps[0][0] === v2 && swaps[0][1] === v1,
+           "RedirectingHandler notifies swap listeners");
+    RedirectingHandler.removeSwapListener(p, listener);
+    RedirectingHandler.setTarget(p, v1);
+    assert(swaps.length === 1, "RedirectingHandler removes swap listeners");
+
+    // a non-configurable property that was reported is now permanent
+    Object.defineProperty(v1, "id", { value: "a", configurable: false });
+    assert(p.id === "a", "RedirectingHandler reports permanent property");
+    assertThrows("cannot redirect proxy: backing object must have "+
+                 "non-configurable property 'id'",
+                 function() { RedirectingHandler.setTarget(p, v2); });
+    assert(RedirectingHandler.getTarget(p) === v1,
+           "RedirectingHandler keeps backing object after refused swap");
+    var v3 = Object.defineProperty({}, "id", { value: "a" });
+    RedirectingHandler.setTarget(p, v3);
+    assert(p.id === "a" && !("version" in p),
+           "RedirectingHandler swaps to compatible backing object");
+
+    Object.preventExtensions(p);
+    assertThrows("cannot redirect proxy: backing object must be "+
+                 "non-extensible",
+                 function() {
+                   RedirectingHandler.setTarget(p,
+                     Object.defineProperty({}, "id", { value: "a" }));
+                 });
+
+    var checked = RedirectingHandler.checkedProxyFor({}, v1);
+    RedirectingHandler.setTarget(checked, v2);
+    assert(checked.version === 2 && RedirectingHandler.getTarget(checked) === v2,
+           "RedirectingHandler.checkedProxyFor can be redirected");
+  }());
+
+  // LazyHandler
+  (function() {
+    var LazyHandler = Handlers.LazyHandler;
+    var calls = 0;
+    var thunk = function() { calls++; return {foo:42}; };
+    var dummyTarget = {};
+    var p = LazyHandler.proxyFor(dummyTarget, thunk);
+
+    assert(!LazyHandler.isForced(p) && calls === 0, "LazyHandler is lazy");
+    assert(p.foo === 42, "p.foo === 42 for LazyHandler");
+    assert(LazyHandler.isForced(p) && calls === 1, "LazyHandler is forced");
+    p.foo = 43;
+    p.bar = 1;
+    delete p.bar;
+    assert(p.foo === 43 && LazyHandler.force(p).foo === 43,
+           "LazyHandler reroutes updates to the lazy object");
+    assert(Object.keys(p).join() === "foo" && !("bar" in p),
+           "LazyHandler reroutes ownKeys and deleteProperty");
+    assert(Object.keys(dummyTarget).length === 0,
+           "LazyHandler leaves dummy target alone");
+
+    var checked = LazyHandler.checkedProxyFor({}, thunk);
+    assert(!LazyHandler.isForced(checked) && checked.foo === 42 &&
+           LazyHandler.isForced(checked) && LazyHandler.force(checked).foo === 42,
+           "LazyHandler.checkedProxyFor can be forced");
+
+    Object.defineProperty(p, "fixed", { value: 1, configurable: false });
+    assert(Object.getOwnPropertyDescriptor(p, "fixed").value === 1,
+           "LazyHandler reports non-configurable properties");
+    Object.freeze(p);
+    assert(Object.isFrozen(p) && Object.isFrozen(LazyHandler.force(p)),
+           "LazyHandler supports non-extensible lazy objects");
+
+    var f = LazyHandler.proxyFor(function(){}.bind(null), function() {
+      return function Point(x) { this.x = x; };
+    });
+    var obj = {};
+    f.call(obj, 1);
+    assert(obj.x === 1 && new f(2).x === 2,
+           "LazyHandler with callable thunk result");
+
+    var mismatch = LazyHandler.proxyFor({}, function() {
+      return function() {};
+    });
+    assertThrows("backing object is a function, but the shadow target "+
+                 "is not a function", function() { mismatch.x; });
+  }());
+
+  // test integrity levels on virtual objects and the deprecated traps
+  (function () {
+    function Backed(backing) { this.backing = backing; };
+    Backed.prototype = Object.create(VirtualHandler.prototype);
+    ["getOwnPropertyDescriptor", "defineProperty", "deleteProperty", "ownKeys",
+     "preventExtensions", "isExtensible", "getPrototypeOf",
+     "setPrototypeOf"].forEach(function(name) {
+      Backed.prototype[name] = function(target/*, ...args*/) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        return Reflect[name].apply(undefined, [this.backing].concat(args));
+      };
+    });
+
+    var backing = { x: 1, get y() { return 2; } };
+    var dummy = {};
+    var p = VirtualHandler.proxyFor.call(Backed, dummy, backing);
+    assert(!Object.isFrozen(p) && !Object.isSealed(p), "virtual not frozen");
+    assert(Object.freeze(p) === p, "freeze virtual object");
+    assert(Object.isFrozen(p) && Object.isSealed(p), "virtual is frozen");
+    assert(Object.isFrozen(backing), "backing object is frozen");
+    assert(Object.isFrozen(dummy) && dummy.x === 1 &&
+           Object.getOwnPropertyDescriptor(dummy, "y").get !== undefined,
+           "dummy target is a frozen copy");
+    assert(p.x === 1 && p.y === 2, "frozen virtual object reads through");
+
+    var sealed = VirtualHandler.checkedProxyFor.call(Backed, {}, { x: 1 });
+    Object.seal(sealed);
+    sealed.x = 2;
+    assert(Object.isSealed(sealed) && !Object.isFrozen(sealed) &&
+           sealed.x === 2, "sealed virtual object remains writable");
+
+    var backing2 = {};
+    var q = VirtualHandler.checkedProxyFor.call(Backed, {}, backing2);
+    Object.defineProperty(q, "c", { value: 3, configurable: false });
+    assert(q.c === 3, "non-configurable property on virtual object");
+    q.d = 4;
+    assert(delete q.d && !("d" in q), "delete configurable virtual property");
+
+    // deprecated integrity traps, including symbol-keyed properties
+    var sym = Symbol("s");
+    var t = { a: 1, get b() { return 2; } };
+    t[sym] = 3;
+    var h = new DelegatingHandler();
+    assert(!h.isSealed(t) && !h.isFrozen(t), "deprecated isSealed/isFrozen");
+    assert(h.seal(t) === true && Object.isSealed(t) && !Object.isFrozen(t),
+           "deprecated seal");
+    assert(h.isSealed(t) && !h.isFrozen(t), "deprecated isSealed after seal");
+    assert(h.freeze(t) === true && Object.isFrozen(t), "deprecated freeze");
+    assert(!Object.getOwnPropertyDescriptor(t, sym).writable,
+           "deprecated freeze includes symbols");
+    assert(h.isFrozen(t), "deprecated isFrozen after freeze");
+    assert(!("testIntegrity" in h), "integrity helper is not a method");
+    var fh = new ForwardingHandler();
+    assert(fh.freeze({ z: 1 }) === true, "deprecated freeze on forwarder");
+  }());
+
+  // test checkHandler reports inconsistent handler subclasses
+  (function () {
+    var checkHandler = Handlers.checkHandler;
+    function makeTarget(kind) {
+      return kind === "function" ? function() {} : {};
+    }
+
+    var report = checkHandler(ForwardingHandler, makeTarget);
+    assert(report.ok && report.failed === 0 && report.skipped === 0 &&
+           report.passed === report.results.length,
+           "checkHandler: ForwardingHandler conforms");
+    assert(DelegatingHandler.checkInvariants === false,
+           "checkHandler restores checkInvariants");
+
+    // like the raw handler in the first test, reports a descriptor for
+    // "x" that the other traps disagree with
+    function Phantom() {};
+    Phantom.prototype = Object.create(DelegatingHandler.prototype);
+    Phantom.prototype.getOwnPropertyDescriptor = function(target, name) {
+      if (name === "x") {
+        return { value: 42, writable: true, configurable: true };
+      }
+      return Reflect.getOwnPropertyDescriptor(target, name);
+    };
+    Phantom.prototype.get = function(target, name, receiver) {
+      return Reflect.get(target, name, receiver);
+    };
+    report = checkHandler(Phantom, makeTarget, { only: ["data property"] });
+    assert(!report.ok && report.results.length === 1 &&
+           report.results[0].status === "failed" &&
+           report.results[0].message ===
+             "getOwnPropertyDescriptor reports 'x' as 42, expected 1",
+           "checkHandler: inconsistent getOwnPropertyDescriptor");
+
+    report = checkHandler(Handlers.RedirectingHandler, makeTarget, {
+      args: function(kind) { return [makeTarget(kind)]; },
+      skip: ["function call"]
+    });
+    assert(report.ok && report.results.every(function(r) {
+      return r.name !== "function call";
+    }), "checkHandler: constructor arguments and skipped checks");
+
+    report = checkHandler(Handlers.ReadOnlyHandler, makeTarget);
+    var skipped = report.results.filter(function(r) {
+      return r.status === "skipped";
+    });
+    assert(report.ok && skipped.length === report.skipped &&
+           skipped[0].message === "defineProperty of 'x' was rejected",
+           "checkHandler: skips checks whose fixture is rejected");
+
+    report = checkHandler(DelegatingHandler, function() { return {}; },
+                          { only: ["function call"] });
+    assert(report.skipped === 1 && report.results[0].message ===
+           "targetFactory did not return a function",
+           "checkHandler: skips function checks for non-callable targets");
+  }());
+
+  // test RevocationScope revokes its proxies together, and its caveats
+  (function () {
+    var RevocationScope = Handlers.RevocationScope;
+
+    var scope = new RevocationScope("plugin-1");
+    var events = [];
+    scope.onRevoke(function(event) { events.push(event); });
+    var a = scope.proxyFor(ForwardingHandler, { x: 1 });
+    var b = scope.proxyFor(Handlers.ReadOnlyHandler, { y: { z: 2 } });
+    var child = b.y;
+    assert(a.x === 1 && child.z === 2 && scope.operations === 3,
+           "scope: proxies work until revoked");
+    scope.revoke("session ended");
+    assert(scope.revoked && events.length === 1 &&
+           events[0].scope === scope && events[0].reason === "session ended",
+           "scope: revocation fires an event");
+    var message = "revocation scope 'plugin-1' was revoked: session ended";
+    assertThrows(message, function() { a.x; });
+    assertThrows(message, function() { "y" in b; });
+    assertThrows(message, function() { child.z; });
+    assertThrows(message, function() {
+      scope.proxyFor(ForwardingHandler, {});
+    });
+    scope.revoke("again");
+    assert(events.length === 1, "scope: revoke is idempotent");
+
+    var limited = new RevocationScope("limited", { uses: 2 });
+    var c = limited.proxyFor(DelegatingHandler, {});
+    c.x = 1; // set → defineProperty counts as one operation
+    assert(c.x === 1 && limited.operations === 2,
+           "scope: counts operations");
+    assertThrows("revocation scope 'limited' was revoked: used up its 2 "+
+                 "operations", function() { c.x; });
+
+    var expired = new RevocationScope("expired", { expires: Date.now() - 1 });
+    var d = expired.proxyFor(ForwardingHandler, {});
+    assertThrows("revocation scope 'expired' was revoked: expired",
+                 function() { d.x; });
+    var reasons = [];
+    expired.onRevoke(function(event) { reasons.push(event.reason); });
+    assert(reasons[0] === "expired", "scope: late listener is notified");
+
+    var checked = new RevocationScope("checked", {
+      check: function(op) { return op.trap !== "deleteProperty"; }
+    });
+    var e = checked.proxyFor(ForwardingHandler, { x: 1 });
+    var f = checked.proxyFor(ForwardingHandler, { y: 1 });
+    assertThrows("revocation scope 'checked' was revoked: caveat rejected "+
+                 "deleteProperty of property 'x'", function() { delete e.x; });
+    assertThrows(/^revocation scope 'checked' was revoked/,
+                 function() { f.y; });
+
+    // proxies that the target creates itself do not belong to the scope
+    var settings;
+    var host = {
+      get settings() {
+        if (settings === undefined) {
+          settings = Handlers.ReadOnlyHandler.proxyFor({ x: 1 });
+        }
+        return settings;
+      }
+    };
+    var hostScope = new RevocationScope("host", { uses: 1 });
+    var g = hostScope.proxyFor(ForwardingHandler, host);
+    var own = g.settings;
+    assert(own === host.settings && own.x === 1 && own.x === 1 &&
+           hostScope.operations === 1,
+           "scope: host-owned proxies are not counted");
+    hostScope.revoke("done");
+    assert(own.x === 1 && host.settings.x === 1,
+           "scope: host-owned proxies are not revoked");
+  }());
+
+  // test the proxy registry records proxies once enabled
+  (function () {
+    var before = ForwardingHandler.proxyFor({});
+    var registry = Handlers.enableProxyRegistry();
+    assertThrows("the proxy registry is already enabled", function() {
+      Handlers.enableProxyRegistry();
+    });
+    assert(!registry.isProxy(before) && !registry.isProxy({}),
+           "registry: only records proxies created once enabled");
+
+    var target = { a: { b: 1 } };
+    var p = ForwardingHandler.proxyFor(target);
+    var handler = registry.getHandler(p);
+    assert(registry.isProxy(p) && handler instanceof ForwardingHandler &&
+           registry.getTarget(p) === target, "registry: handler and target");
+
+    var checked = DelegatingHandler.checkedProxyFor(p);
+    assert(registry.getHandler(checked).constructor === DelegatingHandler,
+           "registry: getHandler sees through interposed handlers");
+    assert(registry.unwrap(checked) === p &&
+           registry.unwrap(checked, { deep: true }) === target &&
+           registry.unwrap(target) === target, "registry: unwrap");
+
+    var view = Handlers.ReadOnlyHandler.proxyFor(target).a;
+    assert(registry.isProxy(view) &&
+           registry.getHandler(view) instanceof Handlers.ReadOnlyHandler,
+           "registry: records views created by handlers");
+    assert(registry.getTarget(view) === target.a &&
+           registry.unwrap(Handlers.ReadOnlyHandler.proxyFor(p),
+                           { deep: true }) === target,
+           "registry: the target of a read-only view is the viewed object");
+    var dry = new Handlers.Membrane().dry(target);
+    assert(registry.getTarget(dry) === target &&
+           registry.getTarget(dry.a) === target.a,
+           "registry: the target of a membrane wrapper");
+    var backing = {};
+    var redirected = Handlers.RedirectingHandler.proxyFor({}, backing);
+    assert(registry.getTarget(redirected) === backing,
+           "registry: the target of a redirecting proxy is its backing");
+    var lazy = Handlers.LazyHandler.proxyFor({}, function() { return target; });
+    assert(registry.getTarget(lazy) === null &&
+           registry.unwrap(lazy) === lazy, "registry: unforced lazy proxy");
+    Handlers.LazyHandler.force(lazy);
+    assert(registry.getTarget(lazy) === target,
+           "registry: forced lazy proxy");
+    var virtual = Handlers.VirtualArrayHandler.proxyFor([]);
+    assert(registry.getTarget(virtual) === null,
+           "registry: virtual proxies have no target");
+
+    var scope = new Handlers.RevocationScope("registry");
+    var scoped = scope.proxyFor(ForwardingHandler, target);
+    assert(registry.getTarget(scoped) === target,
+           "registry: scoped proxy before revocation");
+    scope.revoke();
+    assert(registry.getTarget(scoped) === null &&
+           registry.getHandler(scoped) === null,
+           "registry: proxies revoked by their scope");
+
+    var r = DelegatingHandler.revocableProxyFor(target);
+    r.revoke();
+    assert(registry.isProxy(r.proxy) && registry.getTarget(r.proxy) === null &&
+           registry.getHandler(r.proxy) === null,
+           "registry: revoked proxies have no handler and target");
+    assertThrows("unwrap: cannot unwrap a revoked proxy", function() {
+      registry.unwrap(r.proxy);
+    });
+    assertThrows("getTarget: not a recorded proxy", function() {
+      registry.getTarget(before);
+    });
+  }());
+
+  // test DefaultingHandler resolves missing properties
+  (function () {
+    var DefaultingHandler = Handlers.DefaultingHandler;
+    var resolved = [];
+    function upper(name, receiver) {
+      resolved.push(name);
+      if (typeof name === "string" && /^x/.test(name)) {
+        return name.toUpperCase();
+      }
+    }
+
+    var p = DefaultingHandler.proxyFor({ a: 1 }, upper);
+    assert(p.a === 1 && p.xy === "XY" && p.zz === undefined,
+           "defaulting: resolves missing properties only");
+    assert(typeof p.toString === "function" &&
+           resolved.join() === "xy,zz", "defaulting: inherited members win");
+    assert(!("xy" in p) && Object.getOwnPropertyDescriptor(p, "xy") ===
+           undefined && Object.keys(p).join() === "a",
+           "defaulting: synthesized members are hidden by default");
+
+    var q = DefaultingHandler.proxyFor({}, upper, { own: true });
+    var desc = Object.getOwnPropertyDescriptor(q, "xy");
+    assert(desc.value === "XY" && !desc.enumerable &&
+           Object.keys(q).length === 0,
+           "defaulting: own reports non-enumerable synthesized members");
+    resolved = [];
+    assert(!("xy" in q) && !("zz" in q) && resolved.length === 0,
+           "defaulting: in does not call the resolver");
+    var cached = {};
+    var c = DefaultingHandler.proxyFor(cached, upper,
+                                       { own: true, cache: true });
+    assert(!("xy" in c) && !("xy" in cached) && resolved.length === 0,
+           "defaulting: in does not cache");
+    assert(c.xy === "XY" && "xy" in c && cached.xy === "XY",
+           "defaulting: in reports cached members");
+
+    class Hiding extends DefaultingHandler {
+      getOwnPropertyDescriptor(target, name) {
+        return name === "xhidden" ? undefined :
+                                    super.getOwnPropertyDescriptor(target, name);
+      }
+    }
+    var h = Hiding.proxyFor({ xhidden: 1 }, upper);
+    assert(h.xhidden === "XHIDDEN" && !("xhidden" in h) &&
+           resolved.join() === "xy,xhidden",
+           "defaulting: isMissing goes through getOwnPropertyDescriptor");
+
+    function vivify() {
+      return DefaultingHandler.proxyFor({}, function(name) {
+        if (typeof name === "string" && name !== "toJSON") {
+          return vivify();
+        }
+      }, { cache: true });
+    }
+    var config = vivify();
+    config.db.host.port = 5432;
+    assert(config.db === config.db &&
+           JSON.stringify(config) === '{"db":{"host":{"port":5432}}}',
+           "defaulting: cached auto-vivification");
+
+    var frozen = DefaultingHandler.checkedProxyFor(Object.preventExtensions({}),
+                                                   upper, { own: true });
+    assert(frozen.xy === undefined && !("xy" in frozen),
+           "defaulting: no synthesized members on a non-extensible target");
+
+    var report = Handlers.checkHandler(DefaultingHandler, function(kind) {
+      return kind === "function" ? function() {} : {};
+    }, { args: [function(name) { return name === "missing" ? 0 : undefined; },
+                { own: true }] });
+    assert(report.ok, "defaulting: passes checkHandler");
+
+    assertThrows("resolver must be a function, got: 42", function() {
+      DefaultingHandler.proxyFor({}, 42);
+    });
+  }());
+
+  // test key ordering and enumeration of the deprecated derived traps
+  (function () {
+    var sym = Symbol("s");
+    function Unordered() {};
+    Unordered.prototype = Object.create(VirtualHandler.prototype);
+    Unordered.prototype.ownKeys = function(target) {
+      return ["b", "10", sym, "a", "2", "4294967295", "1"];
+    };
+    Unordered.prototype.getOwnPropertyDescriptor = function(target, name) {
+      return { value: 0, enumerable: true, configurable: true };
+    };
+    var virtual = new Unordered();
+    assert(virtual.keys({}).join() === "1,2,10,b,a,4294967295",
+           "keys: array indices first, in ascending order");
+    var keys = virtual.getOwnPropertyKeys({});
+    assert(keys.length === 7 && keys[6] === sym,
+           "getOwnPropertyKeys: symbols last");
+    Unordered.prototype.getPrototypeOf = function(target) { return null; };
+    var p = DelegatingHandler.proxyFor.call(Unordered, {});
+    var ownKeys = Reflect.ownKeys(p);
+    assert(ownKeys.slice(0, 6).join() === "1,2,10,b,a,4294967295" &&
+           ownKeys[6] === sym, "ownKeys: virtual proxy keys in ordinary order");
+    var forIn = [];
+    for (var name in p) { forIn.push(name); }
+    assert(Object.keys(p).join() === "1,2,10,b,a,4294967295" &&
+           forIn.join() === Object.keys(p).join(),
+           "Object.keys and for-in: virtual proxy keys in ordinary order");
+
+    var proto = { shadowed: 1, hidden: 2, inherited: 3, 1: 4 };
+    var target = Object.create(proto, {
+      hidden: { value: 0, enumerable: false, configurable: true }
+    });
+    target.b = 1;
+    target.shadowed = 2;
+    target[0] = 3;
+    var handler = new ForwardingHandler();
+    assert(Array.from(handler.enumerate(target)).join() ===
+           "0,b,shadowed,1,inherited",
+           "enumerate: deduplicated, non-enumerable own hides inherited");
+    forIn = [];
+    for (name in target) { forIn.push(name); }
+    assert(Array.from(handler.enumerate(target)).join() === forIn.join(),
+           "enumerate: matches for-in on an ordinary object");
+
+    var mutated = { a: 1, b: 2, c: 3 };
+    var iterator = handler.enumerate(mutated);
+    var first = iterator.next().value;
+    delete mutated.b;
+    mutated.d = 4;
+    var rest = [];
+    for (var step = iterator.next(); !step.done; step = iterator.next()) {
+      rest.push(step.value);
+    }
+    assert(first === "a" && rest.join() === "c",
+           "enumerate: skips deleted and added properties");
+  }());
+
+  // test the adapter for handlers that override deprecated traps
+  (function () {
+    function Legacy() { this.frozen = false; };
+    Legacy.prototype = Object.create(DelegatingHandler.prototype);
+    Legacy.prototype.getOwnPropertyNames = function(target) {
+      return DelegatingHandler.prototype.getOwnPropertyNames.call(this, target)
+        .filter(function(name) { return name[0] !== "_"; });
+    };
+    Legacy.prototype.hasOwn = function(target, name) {
+      return !(typeof name === "string" && name[0] === "_") &&
+             DelegatingHandler.prototype.hasOwn.call(this, target, name);
+    };
+    Legacy.prototype.keys = function(target) {
+      return DelegatingHandler.prototype.keys.call(this, target)
+        .filter(function(name) { return name !== "b"; });
+    };
+    Legacy.prototype.freeze = function(target) {
+      this.frozen = true;
+      return DelegatingHandler.prototype.freeze.call(this, target);
+    };
+    Legacy.prototype.isFrozen = function(target) { return true; };
+
+    var sym = Symbol("s");
+    function makeTarget() {
+      var target = { a: 1, b: 2, _c: 3 };
+      target[sym] = 4;
+      return target;
+    }
+    assert(new Legacy().keys(makeTarget()).join() === "a",
+           "legacy: keys goes through an overridden getOwnPropertyNames");
+
+    var ignored = DelegatingHandler.proxyFor.call(Legacy, makeTarget());
+    assert(Object.keys(ignored).join() === "a,b,_c",
+           "legacy: traps are not adapted by default");
+
+    var warnings = [];
+    var warn = DelegatingHandler.warn;
+    DelegatingHandler.adaptLegacyTraps = true;
+    DelegatingHandler.warn = function(message) { warnings.push(message); };
+    try {
+      var p = DelegatingHandler.checkedProxyFor.call(Legacy, makeTarget());
+      var keys = Reflect.ownKeys(p);
+      assert(keys.length === 3 && keys.indexOf("_c") === -1 &&
+             keys.indexOf(sym) !== -1,
+             "legacy: ownKeys through getOwnPropertyNames, with symbols");
+      assert(!("_c" in p) && p._c === undefined && "a" in p &&
+             "toString" in p, "legacy: has through hasOwn");
+      assert(Object.keys(p).join() === "a" &&
+             !Object.getOwnPropertyDescriptor(p, "b").enumerable,
+             "legacy: enumerability through keys");
+      var forIn = [];
+      for (var name in p) { forIn.push(name); }
+      assert(forIn.indexOf("a") !== -1 && forIn.indexOf("b") === -1,
+             "legacy: for-in through keys");
+
+      var handlerOf = {};
+      function Freezer() {
+        Legacy.call(this);
+        handlerOf.frozen = this;
+      };
+      Freezer.prototype = Object.create(Legacy.prototype);
+      var f = DelegatingHandler.proxyFor.call(Freezer, { x: 1 });
+      Object.freeze(f);
+      assert(handlerOf.frozen.frozen && Object.isFrozen(f),
+             "legacy: preventExtensions through freeze");
+
+      DelegatingHandler.proxyFor.call(Legacy, {});
+      assert(warnings.length === 2 && warnings[0] ===
+             "Legacy overrides deprecated traps that native proxies do not "+
+             "call: getOwnPropertyNames, hasOwn, keys, freeze, isFrozen. "+
+             "Routing the standard traps through getOwnPropertyNames, "+
+             "hasOwn, keys, freeze. Ignoring isFrozen, which cannot be routed",
+             "legacy: warns once per class");
+      assert(DelegatingHandler.proxyFor({}) && warnings.length === 2,
+             "legacy: no warning without overrides");
+
+      function Private() {};
+      Private.prototype = Object.create(DelegatingHandler.prototype);
+      Private.prototype.hasOwn = Legacy.prototype.hasOwn;
+      var priv = DelegatingHandler.proxyFor.call(Private, { a: 1, _p: 2 });
+      assert(Reflect.ownKeys(priv).join() === "a" &&
+             Object.keys(priv).join() === "a",
+             "legacy: ownKeys through hasOwn");
+
+      var keysCalls = 0;
+      function Counted() {};
+      Counted.prototype = Object.create(DelegatingHandler.prototype);
+      Counted.prototype.keys = function(target) {
+        keysCalls++;
+        return DelegatingHandler.prototype.keys.call(this, target);
+      };
+      var many = {};
+      for (var i = 0; i < 50; i++) { many["k" + i] = i; }
+      var counted = DelegatingHandler.proxyFor.call(Counted, many);
+      assert(Object.keys(counted).length === 50 && keysCalls === 1,
+             "legacy: keys is called once per enumeration pass");
+      delete counted.k0;
+      assert(Object.getOwnPropertyDescriptor(counted, "k1").enumerable &&
+             keysCalls === 2,
+             "legacy: lookups outside of a pass call keys again");
+    } finally {
+      DelegatingHandler.adaptLegacyTraps = false;
+      DelegatingHandler.warn = warn;
+    }
+  }());
+
 } // end test()
 
 if (typeof window === "undefined") {